@@ -1,3 +1,6 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
@@ -17,16 +20,161 @@ const config = {
   // LinkedIn specific
   LINKEDIN_BASE_URL: 'https://www.linkedin.com',
   JOBS_SEARCH_URL: 'https://www.linkedin.com/jobs/search',
+  JOBS_GUEST_SEARCH_URL: 'https://www.linkedin.com/jobs-guest/jobs/api/seeMoreJobPostings/search',
   
   // API settings
   CACHE_TTL: 1800, // 30 minutes cache
+  STATUS_CACHE_TTL: 600, // Posting status goes stale faster than details
   MAX_RETRIES: 3,
   REQUEST_TIMEOUT: 30000, // 30 seconds
   
   // Results
   DEFAULT_RESULTS: 50, // Return 50 most relevant jobs
+  DESCRIPTION_FORMATS: ['text', 'markdown', 'html'],
+  ESTIMATE_PERIODS: ['YEAR', 'MONTH', 'HOUR'], // ?period= on salary estimates
+  MAX_RESULTS_PER_REQUEST: 100,
+  MAX_SEARCH_START: 1000, // LinkedIn stops serving listing pages past ~1000 results
+
+  // Multi-location search
+  MAX_SEARCH_LOCATIONS: 10,
+  SEARCH_CONCURRENCY: 3, // Locations searched in parallel
+
+  // Job details fetched alongside search results (?includeDetails=true)
+  DETAILS_CONCURRENCY: 5,
+
+  // Extra or overriding skills merged into data/skills.json (same { skills: [...] } shape)
+  SKILLS_DICTIONARY_FILE: process.env.SKILLS_DICTIONARY_FILE || null,
+
+  // Query parameters removed from links we return (utm_* is always removed)
+  TRACKING_PARAMS: ['trk', 'trkInfo', 'trackingId', 'refId', 'lipi', 'midToken', 'midSig', 'eid', 'otpToken', 'originalSubdomain', 'urlHash'],
+  // Source-attribution parameters ATS vendors add to apply links; removed from applyUrl
+  APPLY_TRACKING_PARAMS: ['gh_src', 'source', 'src', 'ref', 'lever-source', 'lever-origin', 'iis', 'iisn', 'sourceType', 'jobPipeline'],
+
+  // Batch job details (POST /api/jobs/batch)
+  BATCH_MAX_JOBS: parseInt(process.env.BATCH_MAX_JOBS) || 100,
+  BATCH_CONCURRENCY: 5, // Default when the request doesn't set one
+  BATCH_MAX_CONCURRENCY: parseInt(process.env.BATCH_MAX_CONCURRENCY) || 10,
+
+  // Set INCLUDE_HIRING_TEAM=false to never return recruiter/poster names and profiles
+  INCLUDE_HIRING_TEAM: process.env.INCLUDE_HIRING_TEAM !== 'false',
+
+  // Extra or overriding salary data merged into data/salary-dataset.json (same shape)
+  SALARY_DATASET_FILE: process.env.SALARY_DATASET_FILE || null,
+
+  // Posted salaries seen in job details, used for estimates once a role/location has enough
+  SALARY_STORE_FILE: process.env.SALARY_STORE_FILE || path.join(__dirname, 'storage', 'salary-observations.json'),
+  SALARY_MIN_SAMPLE_SIZE: parseInt(process.env.SALARY_MIN_SAMPLE_SIZE) || 10,
+  SALARY_OBSERVATION_MAX_AGE_DAYS: parseInt(process.env.SALARY_OBSERVATION_MAX_AGE_DAYS) || 365,
+  SALARY_STORE_MAX_OBSERVATIONS: 50000,
+
+  // Token expected in the X-Admin-Token header; admin endpoints are disabled without it
+  ADMIN_TOKEN: process.env.ADMIN_TOKEN || null,
+
+  // Salary comparison matrix (/api/salary-compare)
+  MAX_COMPARE_LOCATIONS: 10,
+
+  // Working time used to annualize hourly, daily, weekly and monthly pay
+  WORK_HOURS_PER_WEEK: parseFloat(process.env.WORK_HOURS_PER_WEEK) || 40,
+  WORK_DAYS_PER_WEEK: parseFloat(process.env.WORK_DAYS_PER_WEEK) || 5,
+  WORK_WEEKS_PER_YEAR: parseFloat(process.env.WORK_WEEKS_PER_YEAR) || 52,
+
+  // Extra or overriding FX rates merged into data/fx-rates.json (same { version, rates } shape)
+  FX_RATES_FILE: process.env.FX_RATES_FILE || null,
+
+  // Applicants per day since posting at which competition is rated medium / high
+  COMPETITION_THRESHOLDS: { medium: 10, high: 25 },
+};
+
+// Search filters accepted by /api/search mapped to LinkedIn's URL facets
+const SEARCH_FACETS = {
+  datePosted: { '24h': 'r86400', 'week': 'r604800', 'month': 'r2592000' }, // f_TPR
+  experienceLevel: { // f_E
+    'internship': '1',
+    'entry': '2',
+    'associate': '3',
+    'mid-senior': '4',
+    'director': '5',
+    'executive': '6'
+  },
+  jobType: { // f_JT
+    'full-time': 'F',
+    'part-time': 'P',
+    'contract': 'C',
+    'temporary': 'T',
+    'volunteer': 'V',
+    'internship': 'I',
+    'other': 'O'
+  },
+  workMode: { 'on-site': '1', 'remote': '2', 'hybrid': '3' }, // f_WT
+  sortBy: { 'relevant': 'R', 'recent': 'DD' }, // sortBy
+  distance: [5, 10, 25, 50, 100] // distance (miles)
+};
+
+// Where each job detail field comes from, in order of preference. The page's
+// schema.org JobPosting JSON-LD wins for machine-readable fields; the HTML wins for
+// display strings LinkedIn formats for people (location with work mode, description).
+const JOB_FIELD_PRECEDENCE = {
+  title: ['jsonLd', 'html'],
+  company: ['jsonLd', 'html'],
+  companyLink: ['html', 'jsonLd'],
+  location: ['html', 'jsonLd'],
+  postedAt: ['jsonLd', 'html'],
+  validThrough: ['jsonLd'],
+  employmentType: ['jsonLd', 'html'],
+  salary: ['jsonLd', 'html'],
+  description: ['html', 'jsonLd']
 };
 
+const SALARY_PERIODS = ['HOUR', 'DAY', 'WEEK', 'MONTH', 'YEAR'];
+
+// Percentiles reported for base, additional and total pay on salary estimates
+const REPORTED_PERCENTILES = [10, 25, 50, 75, 90];
+
+// Fuzzy title match scores (0..1): below the threshold a title is an unknown
+// occupation; alternatives are listed down to the lower bound
+const TITLE_MATCH_THRESHOLD = 0.6;
+const TITLE_ALTERNATIVE_THRESHOLD = 0.4;
+
+// Applied when a location can't be resolved to any multiplier: slightly below the
+// global average
+const DEFAULT_LOCATION_MULTIPLIER = 0.7;
+
+// Work modes and continents LinkedIn shows in place of a location; never a city
+const NON_PLACE_LOCATIONS = [
+  'remote', 'hybrid', 'on-site', 'onsite', 'work from home', 'wfh', 'anywhere', 'global', 'worldwide',
+  'europe', 'european union', 'emea', 'apac', 'asia', 'asia pacific', 'asia-pacific', 'africa',
+  'americas', 'north america', 'south america', 'latin america', 'latam', 'middle east', 'oceania'
+];
+
+// Words that make a sentence technical enough for a case-sensitive skill alias to count
+const SKILL_CONTEXT_PATTERN = /\b(experience (?:with|in|using|building)|proficien\w*|knowledge|familiar\w*|expertise|skills?|framework\w*|librar(y|ies)|languages?|programming|coding|code|codebases?|develop\w*|engineer\w*|software|stack|apps?|applications?|api\w*|backend|back-end|frontend|front-end|mobile|ios|android|web|cloud|data|pipelines?|queries|spreadsheets?|formulas?|pivot|macros|vba|charting|ehr|emr|certifi\w*|tools?|technolog\w*|platforms?)\b/i;
+
+// Pay bands every title in the salary dataset must define
+const SENIORITY_BANDS = ['junior', 'mid', 'senior', 'lead'];
+
+// Countries whose bare "$" means their own dollar rather than USD
+const LOCAL_DOLLAR_CURRENCIES = { CA: 'CAD', AU: 'AUD', NZ: 'NZD', SG: 'SGD', HK: 'HKD', MX: 'MXN' };
+
+// Applicant tracking systems recognized from resolved apply URLs (matched on hostname)
+const ATS_VENDORS = [
+  { name: 'Greenhouse', pattern: /(^|\.)(greenhouse\.io|grnh\.se)$/ },
+  { name: 'Lever', pattern: /(^|\.)lever\.co$/ },
+  { name: 'Workday', pattern: /(^|\.)(myworkdayjobs\.com|myworkdaysite\.com|myworkday\.com)$/ },
+  { name: 'SmartRecruiters', pattern: /(^|\.)smartrecruiters\.com$/ },
+  { name: 'Ashby', pattern: /(^|\.)ashbyhq\.com$/ },
+  { name: 'iCIMS', pattern: /(^|\.)icims\.com$/ },
+  { name: 'Jobvite', pattern: /(^|\.)jobvite\.com$/ },
+  { name: 'Workable', pattern: /(^|\.)workable\.com$/ },
+  { name: 'BambooHR', pattern: /(^|\.)bamboohr\.com$/ },
+  { name: 'Taleo', pattern: /(^|\.)taleo\.net$/ },
+  { name: 'SAP SuccessFactors', pattern: /(^|\.)(successfactors\.(com|eu)|sapsf\.(com|eu))$/ },
+  { name: 'Oracle Recruiting', pattern: /(^|\.)oraclecloud\.com$/ },
+  { name: 'Recruitee', pattern: /(^|\.)recruitee\.com$/ },
+  { name: 'Teamtailor', pattern: /(^|\.)teamtailor\.com$/ },
+  { name: 'Breezy HR', pattern: /(^|\.)breezy\.hr$/ },
+  { name: 'Personio', pattern: /(^|\.)personio\.(de|com)$/ },
+];
+
 // ====================
 // Middleware
 // ====================
@@ -57,1139 +205,1433 @@ const cache = new NodeCache({ stdTTL: config.CACHE_TTL });
 // ====================
 // Utility Functions
 // ====================
-class SalaryEstimator {
-  constructor() {
-    // This data is built from REAL LinkedIn salary data and global market research
-    this.salaryData = {
-      // Base salaries by title and seniority (annual USD converted)
-      // These are derived from actual LinkedIn job postings that DO show salary
-      titleMultipliers: {
-        // Tech Roles
-        'software engineer': { 
-          junior: { min: 75000, max: 95000, median: 85000 },
-          mid: { min: 100000, max: 130000, median: 115000 },
-          senior: { min: 135000, max: 175000, median: 155000 },
-          lead: { min: 165000, max: 210000, median: 185000 }
-        },
-        'software developer': { 
-          junior: { min: 70000, max: 90000, median: 80000 },
-          mid: { min: 95000, max: 125000, median: 110000 },
-          senior: { min: 130000, max: 165000, median: 147500 },
-          lead: { min: 160000, max: 200000, median: 180000 }
-        },
-        'frontend developer': { 
-          junior: { min: 65000, max: 85000, median: 75000 },
-          mid: { min: 90000, max: 120000, median: 105000 },
-          senior: { min: 125000, max: 160000, median: 142500 },
-          lead: { min: 155000, max: 195000, median: 175000 }
-        },
-        'backend developer': { 
-          junior: { min: 70000, max: 90000, median: 80000 },
-          mid: { min: 95000, max: 125000, median: 110000 },
-          senior: { min: 130000, max: 170000, median: 150000 },
-          lead: { min: 160000, max: 205000, median: 182500 }
-        },
-        'full stack developer': { 
-          junior: { min: 70000, max: 90000, median: 80000 },
-          mid: { min: 95000, max: 125000, median: 110000 },
-          senior: { min: 130000, max: 170000, median: 150000 },
-          lead: { min: 160000, max: 205000, median: 182500 }
-        },
-        'devops engineer': { 
-          junior: { min: 75000, max: 95000, median: 85000 },
-          mid: { min: 105000, max: 135000, median: 120000 },
-          senior: { min: 140000, max: 180000, median: 160000 },
-          lead: { min: 170000, max: 215000, median: 192500 }
-        },
-        'data scientist': { 
-          junior: { min: 80000, max: 100000, median: 90000 },
-          mid: { min: 110000, max: 145000, median: 127500 },
-          senior: { min: 150000, max: 190000, median: 170000 },
-          lead: { min: 180000, max: 230000, median: 205000 }
-        },
-        'data engineer': { 
-          junior: { min: 75000, max: 95000, median: 85000 },
-          mid: { min: 105000, max: 135000, median: 120000 },
-          senior: { min: 140000, max: 180000, median: 160000 },
-          lead: { min: 170000, max: 215000, median: 192500 }
-        },
-        'product manager': { 
-          junior: { min: 85000, max: 105000, median: 95000 },
-          mid: { min: 115000, max: 150000, median: 132500 },
-          senior: { min: 155000, max: 195000, median: 175000 },
-          lead: { min: 185000, max: 235000, median: 210000 }
-        },
-        'project manager': { 
-          junior: { min: 65000, max: 85000, median: 75000 },
-          mid: { min: 85000, max: 115000, median: 100000 },
-          senior: { min: 115000, max: 150000, median: 132500 },
-          lead: { min: 145000, max: 185000, median: 165000 }
-        },
-        
-        // Operations & Logistics
-        'storekeeper': {
-          junior: { min: 28000, max: 35000, median: 31500 },
-          mid: { min: 35000, max: 45000, median: 40000 },
-          senior: { min: 45000, max: 55000, median: 50000 },
-          lead: { min: 55000, max: 65000, median: 60000 }
-        },
-        'warehouse associate': {
-          junior: { min: 25000, max: 32000, median: 28500 },
-          mid: { min: 32000, max: 40000, median: 36000 },
-          senior: { min: 40000, max: 48000, median: 44000 },
-          lead: { min: 48000, max: 55000, median: 51500 }
-        },
-        'inventory manager': {
-          junior: { min: 35000, max: 45000, median: 40000 },
-          mid: { min: 45000, max: 60000, median: 52500 },
-          senior: { min: 60000, max: 75000, median: 67500 },
-          lead: { min: 75000, max: 90000, median: 82500 }
-        },
-        'logistics coordinator': {
-          junior: { min: 32000, max: 40000, median: 36000 },
-          mid: { min: 40000, max: 52000, median: 46000 },
-          senior: { min: 52000, max: 65000, median: 58500 },
-          lead: { min: 65000, max: 78000, median: 71500 }
-        },
-        'supply chain analyst': {
-          junior: { min: 45000, max: 55000, median: 50000 },
-          mid: { min: 55000, max: 70000, median: 62500 },
-          senior: { min: 70000, max: 90000, median: 80000 },
-          lead: { min: 90000, max: 110000, median: 100000 }
-        },
-        
-        // Retail & Customer Service
-        'cashier': {
-          junior: { min: 18000, max: 25000, median: 21500 },
-          mid: { min: 25000, max: 32000, median: 28500 },
-          senior: { min: 32000, max: 38000, median: 35000 },
-          lead: { min: 38000, max: 45000, median: 41500 }
-        },
-        'sales associate': {
-          junior: { min: 20000, max: 30000, median: 25000 },
-          mid: { min: 30000, max: 40000, median: 35000 },
-          senior: { min: 40000, max: 55000, median: 47500 },
-          lead: { min: 55000, max: 70000, median: 62500 }
-        },
-        'customer service representative': {
-          junior: { min: 22000, max: 30000, median: 26000 },
-          mid: { min: 30000, max: 38000, median: 34000 },
-          senior: { min: 38000, max: 45000, median: 41500 },
-          lead: { min: 45000, max: 55000, median: 50000 }
-        },
-        'retail manager': {
-          junior: { min: 35000, max: 45000, median: 40000 },
-          mid: { min: 45000, max: 60000, median: 52500 },
-          senior: { min: 60000, max: 75000, median: 67500 },
-          lead: { min: 75000, max: 90000, median: 82500 }
-        },
-        
-        // Healthcare
-        'registered nurse': {
-          junior: { min: 50000, max: 65000, median: 57500 },
-          mid: { min: 65000, max: 85000, median: 75000 },
-          senior: { min: 85000, max: 105000, median: 95000 },
-          lead: { min: 105000, max: 125000, median: 115000 }
-        },
-        'medical assistant': {
-          junior: { min: 28000, max: 35000, median: 31500 },
-          mid: { min: 35000, max: 45000, median: 40000 },
-          senior: { min: 45000, max: 55000, median: 50000 },
-          lead: { min: 55000, max: 65000, median: 60000 }
-        },
-        'pharmacist': {
-          junior: { min: 90000, max: 110000, median: 100000 },
-          mid: { min: 110000, max: 130000, median: 120000 },
-          senior: { min: 130000, max: 150000, median: 140000 },
-          lead: { min: 150000, max: 170000, median: 160000 }
-        },
-        
-        // Education
-        'teacher': {
-          junior: { min: 35000, max: 45000, median: 40000 },
-          mid: { min: 45000, max: 60000, median: 52500 },
-          senior: { min: 60000, max: 75000, median: 67500 },
-          lead: { min: 75000, max: 90000, median: 82500 }
-        },
-        'professor': {
-          junior: { min: 50000, max: 65000, median: 57500 },
-          mid: { min: 65000, max: 85000, median: 75000 },
-          senior: { min: 85000, max: 110000, median: 97500 },
-          lead: { min: 110000, max: 140000, median: 125000 }
-        },
-        
-        // Construction & Trades
-        'electrician': {
-          junior: { min: 35000, max: 45000, median: 40000 },
-          mid: { min: 45000, max: 60000, median: 52500 },
-          senior: { min: 60000, max: 75000, median: 67500 },
-          lead: { min: 75000, max: 90000, median: 82500 }
-        },
-        'plumber': {
-          junior: { min: 32000, max: 42000, median: 37000 },
-          mid: { min: 42000, max: 55000, median: 48500 },
-          senior: { min: 55000, max: 70000, median: 62500 },
-          lead: { min: 70000, max: 85000, median: 77500 }
-        },
-        'construction worker': {
-          junior: { min: 28000, max: 35000, median: 31500 },
-          mid: { min: 35000, max: 45000, median: 40000 },
-          senior: { min: 45000, max: 55000, median: 50000 },
-          lead: { min: 55000, max: 70000, median: 62500 }
-        },
-        
-        // Administrative
-        'administrative assistant': {
-          junior: { min: 28000, max: 35000, median: 31500 },
-          mid: { min: 35000, max: 45000, median: 40000 },
-          senior: { min: 45000, max: 55000, median: 50000 },
-          lead: { min: 55000, max: 65000, median: 60000 }
-        },
-        'receptionist': {
-          junior: { min: 22000, max: 28000, median: 25000 },
-          mid: { min: 28000, max: 35000, median: 31500 },
-          senior: { min: 35000, max: 42000, median: 38500 },
-          lead: { min: 42000, max: 50000, median: 46000 }
-        },
-        'office manager': {
-          junior: { min: 35000, max: 45000, median: 40000 },
-          mid: { min: 45000, max: 60000, median: 52500 },
-          senior: { min: 60000, max: 75000, median: 67500 },
-          lead: { min: 75000, max: 90000, median: 82500 }
-        },
-        
-        // Finance & Accounting
-        'accountant': {
-          junior: { min: 45000, max: 55000, median: 50000 },
-          mid: { min: 55000, max: 70000, median: 62500 },
-          senior: { min: 70000, max: 90000, median: 80000 },
-          lead: { min: 90000, max: 110000, median: 100000 }
-        },
-        'financial analyst': {
-          junior: { min: 50000, max: 65000, median: 57500 },
-          mid: { min: 65000, max: 85000, median: 75000 },
-          senior: { min: 85000, max: 110000, median: 97500 },
-          lead: { min: 110000, max: 140000, median: 125000 }
-        },
-        
-        // Marketing
-        'marketing specialist': {
-          junior: { min: 35000, max: 45000, median: 40000 },
-          mid: { min: 45000, max: 60000, median: 52500 },
-          senior: { min: 60000, max: 80000, median: 70000 },
-          lead: { min: 80000, max: 100000, median: 90000 }
-        },
-        'social media manager': {
-          junior: { min: 32000, max: 42000, median: 37000 },
-          mid: { min: 42000, max: 55000, median: 48500 },
-          senior: { min: 55000, max: 70000, median: 62500 },
-          lead: { min: 70000, max: 90000, median: 80000 }
-        },
-        
-        // Legal
-        'lawyer': {
-          junior: { min: 60000, max: 80000, median: 70000 },
-          mid: { min: 80000, max: 120000, median: 100000 },
-          senior: { min: 120000, max: 180000, median: 150000 },
-          lead: { min: 180000, max: 250000, median: 215000 }
-        },
-        'paralegal': {
-          junior: { min: 35000, max: 45000, median: 40000 },
-          mid: { min: 45000, max: 60000, median: 52500 },
-          senior: { min: 60000, max: 75000, median: 67500 },
-          lead: { min: 75000, max: 90000, median: 82500 }
-        },
-        
-        // Hospitality
-        'chef': {
-          junior: { min: 28000, max: 35000, median: 31500 },
-          mid: { min: 35000, max: 50000, median: 42500 },
-          senior: { min: 50000, max: 70000, median: 60000 },
-          lead: { min: 70000, max: 90000, median: 80000 }
-        },
-        'hotel manager': {
-          junior: { min: 35000, max: 45000, median: 40000 },
-          mid: { min: 45000, max: 60000, median: 52500 },
-          senior: { min: 60000, max: 80000, median: 70000 },
-          lead: { min: 80000, max: 100000, median: 90000 }
-        },
-        
-        // Transportation
-        'truck driver': {
-          junior: { min: 35000, max: 45000, median: 40000 },
-          mid: { min: 45000, max: 60000, median: 52500 },
-          senior: { min: 60000, max: 75000, median: 67500 },
-          lead: { min: 75000, max: 90000, median: 82500 }
-        },
-        'delivery driver': {
-          junior: { min: 25000, max: 32000, median: 28500 },
-          mid: { min: 32000, max: 40000, median: 36000 },
-          senior: { min: 40000, max: 48000, median: 44000 },
-          lead: { min: 48000, max: 55000, median: 51500 }
-        }
-      },
-      
-      // Worldwide location multipliers (relative to US baseline)
-      // Based on LinkedIn salary data and cost of living indices
-      locationMultipliers: {
-        // United States
-        'united states': 1.0,
-        'usa': 1.0,
-        'san francisco': 1.55,
-        'san jose': 1.55,
-        'palo alto': 1.55,
-        'mountain view': 1.55,
-        'menlo park': 1.55,
-        'new york': 1.5,
-        'nyc': 1.5,
-        'seattle': 1.45,
-        'boston': 1.4,
-        'los angeles': 1.35,
-        'san diego': 1.3,
-        'chicago': 1.25,
-        'austin': 1.2,
-        'denver': 1.2,
-        'atlanta': 1.15,
-        'miami': 1.15,
-        'dallas': 1.15,
-        'houston': 1.1,
-        'phoenix': 1.05,
-        'philadelphia': 1.1,
-        'portland': 1.15,
-        'washington dc': 1.3,
-        
-        // Canada
-        'canada': 0.85,
-        'toronto': 0.9,
-        'vancouver': 0.88,
-        'montreal': 0.8,
-        'calgary': 0.85,
-        'ottawa': 0.82,
-        
-        // United Kingdom
-        'united kingdom': 0.8,
-        'uk': 0.8,
-        'london': 0.95,
-        'manchester': 0.7,
-        'birmingham': 0.68,
-        'edinburgh': 0.72,
-        
-        // Europe
-        'germany': 0.85,
-        'berlin': 0.8,
-        'munich': 0.9,
-        'frankfurt': 0.88,
-        'france': 0.8,
-        'paris': 0.9,
-        'netherlands': 0.85,
-        'amsterdam': 0.9,
-        'rotterdam': 0.8,
-        'spain': 0.7,
-        'madrid': 0.75,
-        'barcelona': 0.75,
-        'italy': 0.7,
-        'milan': 0.75,
-        'rome': 0.7,
-        'switzerland': 1.2,
-        'zurich': 1.3,
-        'geneva': 1.3,
-        'sweden': 0.85,
-        'stockholm': 0.9,
-        'denmark': 0.9,
-        'copenhagen': 0.95,
-        'norway': 0.95,
-        'oslo': 1.0,
-        'finland': 0.8,
-        'helsinki': 0.85,
-        'ireland': 0.85,
-        'dublin': 0.95,
-        'belgium': 0.8,
-        'brussels': 0.85,
-        'austria': 0.8,
-        'vienna': 0.85,
-        'poland': 0.6,
-        'warsaw': 0.65,
-        'krakow': 0.6,
-        'czech republic': 0.65,
-        'prague': 0.7,
-        'hungary': 0.6,
-        'budapest': 0.65,
-        'portugal': 0.6,
-        'lisbon': 0.65,
-        'greece': 0.55,
-        'athens': 0.6,
-        
-        // Asia Pacific
-        'australia': 0.9,
-        'sydney': 1.0,
-        'melbourne': 0.95,
-        'brisbane': 0.85,
-        'perth': 0.85,
-        'new zealand': 0.75,
-        'auckland': 0.8,
-        'wellington': 0.75,
-        'japan': 0.85,
-        'tokyo': 1.0,
-        'osaka': 0.85,
-        'kyoto': 0.8,
-        'south korea': 0.8,
-        'seoul': 0.9,
-        'busan': 0.75,
-        'singapore': 0.95,
-        'china': 0.7,
-        'beijing': 0.8,
-        'shanghai': 0.85,
-        'shenzhen': 0.8,
-        'guangzhou': 0.75,
-        'hong kong': 0.9,
-        'taiwan': 0.7,
-        'taipei': 0.75,
-        'india': 0.4,
-        'mumbai': 0.45,
-        'delhi': 0.4,
-        'bangalore': 0.5,
-        'hyderabad': 0.45,
-        'pune': 0.4,
-        'chennai': 0.4,
-        'indonesia': 0.35,
-        'jakarta': 0.4,
-        'malaysia': 0.45,
-        'kuala lumpur': 0.5,
-        'thailand': 0.4,
-        'bangkok': 0.45,
-        'vietnam': 0.3,
-        'ho chi minh': 0.35,
-        'hanoi': 0.3,
-        'philippines': 0.3,
-        'manila': 0.35,
-        
-        // Middle East
-        'united arab emirates': 0.9,
-        'uae': 0.9,
-        'dubai': 1.0,
-        'abu dhabi': 1.0,
-        'saudi arabia': 0.8,
-        'riyadh': 0.85,
-        'jeddah': 0.8,
-        'qatar': 0.9,
-        'doha': 0.95,
-        'kuwait': 0.85,
-        'oman': 0.75,
-        'muscat': 0.8,
-        'bahrain': 0.8,
-        'manama': 0.85,
-        'jordan': 0.6,
-        'amman': 0.65,
-        'lebanon': 0.55,
-        'beirut': 0.6,
-        'egypt': 0.35,
-        'cairo': 0.4,
-        'alexandria': 0.35,
-        'iraq': 0.4,
-        'baghdad': 0.45,
-        'turkey': 0.5,
-        'istanbul': 0.55,
-        'ankara': 0.5,
-        
-        // Africa
-        'south africa': 0.45,
-        'johannesburg': 0.5,
-        'cape town': 0.45,
-        'durban': 0.4,
-        'nigeria': 0.3,
-        'lagos': 0.35,
-        'abuja': 0.3,
-        'kenya': 0.3,
-        'nairobi': 0.35,
-        'morocco': 0.35,
-        'casablanca': 0.4,
-        'rabat': 0.35,
-        'algeria': 0.3,
-        'algiers': 0.35,
-        'tunisia': 0.3,
-        'tunis': 0.35,
-        'ghana': 0.3,
-        'accra': 0.35,
-        'ethiopia': 0.25,
-        'addis ababa': 0.3,
-        
-        // Latin America
-        'brazil': 0.5,
-        'sao paulo': 0.6,
-        'rio de janeiro': 0.55,
-        'brasilia': 0.5,
-        'mexico': 0.45,
-        'mexico city': 0.55,
-        'guadalajara': 0.45,
-        'monterrey': 0.5,
-        'argentina': 0.4,
-        'buenos aires': 0.45,
-        'cordoba': 0.4,
-        'chile': 0.5,
-        'santiago': 0.55,
-        'colombia': 0.4,
-        'bogota': 0.45,
-        'medellin': 0.4,
-        'peru': 0.35,
-        'lima': 0.4,
-        'venezuela': 0.25,
-        'caracas': 0.3,
-        'ecuador': 0.35,
-        'quito': 0.4,
-        'guayaquil': 0.35,
-        'bolivia': 0.3,
-        'la paz': 0.35,
-        'paraguay': 0.35,
-        'asuncion': 0.4,
-        'uruguay': 0.45,
-        'montevideo': 0.5,
-        'costa rica': 0.4,
-        'san jose': 0.45,
-        'panama': 0.45,
-        'panama city': 0.5,
-        'puerto rico': 0.7,
-        'san juan': 0.75,
-        'dominican republic': 0.35,
-        'santo domingo': 0.4,
-        
-        // Remote / Global
-        'remote': 1.0,
-        'work from home': 1.0,
-        'wfh': 1.0,
-        'anywhere': 1.0,
-        'global': 1.0,
-        'worldwide': 1.0,
-        'europe': 0.8,
-        'asia': 0.6,
-        'latin america': 0.4,
-        'africa': 0.3,
-        'middle east': 0.7,
-        'north america': 0.95,
-        'south america': 0.4,
-        'oceania': 0.85
-      },
-      
-      // Additional pay percentages (bonus, equity) by role type
-      additionalPayPercentages: {
-        // Tech
-        'software engineer': { bonus: 0.10, equity: 0.15 },
-        'software developer': { bonus: 0.08, equity: 0.10 },
-        'frontend developer': { bonus: 0.08, equity: 0.10 },
-        'backend developer': { bonus: 0.10, equity: 0.12 },
-        'full stack developer': { bonus: 0.10, equity: 0.12 },
-        'devops engineer': { bonus: 0.12, equity: 0.15 },
-        'data scientist': { bonus: 0.12, equity: 0.18 },
-        'data engineer': { bonus: 0.10, equity: 0.12 },
-        'product manager': { bonus: 0.15, equity: 0.20 },
-        'project manager': { bonus: 0.10, equity: 0.08 },
-        
-        // Operations & Logistics
-        'storekeeper': { bonus: 0.03, equity: 0.00 },
-        'warehouse associate': { bonus: 0.02, equity: 0.00 },
-        'inventory manager': { bonus: 0.05, equity: 0.02 },
-        'logistics coordinator': { bonus: 0.04, equity: 0.01 },
-        'supply chain analyst': { bonus: 0.06, equity: 0.03 },
-        
-        // Retail & Customer Service
-        'cashier': { bonus: 0.01, equity: 0.00 },
-        'sales associate': { bonus: 0.05, equity: 0.00 },
-        'customer service representative': { bonus: 0.02, equity: 0.00 },
-        'retail manager': { bonus: 0.08, equity: 0.02 },
-        
-        // Healthcare
-        'registered nurse': { bonus: 0.05, equity: 0.00 },
-        'medical assistant': { bonus: 0.02, equity: 0.00 },
-        'pharmacist': { bonus: 0.05, equity: 0.02 },
-        
-        // Education
-        'teacher': { bonus: 0.00, equity: 0.00 },
-        'professor': { bonus: 0.02, equity: 0.00 },
-        
-        // Construction & Trades
-        'electrician': { bonus: 0.03, equity: 0.00 },
-        'plumber': { bonus: 0.03, equity: 0.00 },
-        'construction worker': { bonus: 0.02, equity: 0.00 },
-        
-        // Administrative
-        'administrative assistant': { bonus: 0.02, equity: 0.00 },
-        'receptionist': { bonus: 0.01, equity: 0.00 },
-        'office manager': { bonus: 0.04, equity: 0.00 },
-        
-        // Finance & Accounting
-        'accountant': { bonus: 0.08, equity: 0.02 },
-        'financial analyst': { bonus: 0.10, equity: 0.05 },
-        
-        // Marketing
-        'marketing specialist': { bonus: 0.05, equity: 0.02 },
-        'social media manager': { bonus: 0.04, equity: 0.01 },
-        
-        // Legal
-        'lawyer': { bonus: 0.10, equity: 0.05 },
-        'paralegal': { bonus: 0.04, equity: 0.00 },
-        
-        // Hospitality
-        'chef': { bonus: 0.03, equity: 0.00 },
-        'hotel manager': { bonus: 0.05, equity: 0.01 },
-        
-        // Transportation
-        'truck driver': { bonus: 0.02, equity: 0.00 },
-        'delivery driver': { bonus: 0.01, equity: 0.00 }
+
+// Runs fn over items with at most `concurrency` calls in flight, keeping input order
+async function mapWithConcurrency(items, concurrency, fn) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  const workers = Array.from({ length: Math.min(concurrency, items.length) }, worker);
+  await Promise.all(workers);
+  return results;
+}
+
+// Splits a description into sentence-sized units tagged with their section type.
+// Uses descriptionSections when available since the plain text glues bullets together.
+function splitDescriptionUnits(sections, descriptionText) {
+  const units = [];
+  const sentences = text => text.split(/(?<=[.!?;])\s+|\n+/).map(part => part.trim()).filter(Boolean);
+
+  if (sections && sections.length > 0) {
+    for (const section of sections) {
+      section.items.forEach(item => units.push({ text: item, sectionType: section.type }));
+      if (section.text) {
+        sentences(section.text).forEach(text => units.push({ text, sectionType: section.type }));
       }
-    };
+    }
+  } else if (descriptionText) {
+    sentences(descriptionText).forEach(text => units.push({ text, sectionType: null }));
   }
 
-  detectSeniority(title) {
-    const titleLower = title.toLowerCase();
-    if (titleLower.includes('senior') || titleLower.includes('sr ') || titleLower.includes('sr.')) {
-      return 'senior';
-    } else if (titleLower.includes('lead') || titleLower.includes('principal') || titleLower.includes('staff')) {
-      return 'lead';
-    } else if (titleLower.includes('junior') || titleLower.includes('jr ') || titleLower.includes('jr.')) {
-      return 'junior';
-    } else if (titleLower.includes('mid') || titleLower.includes('intermediate')) {
-      return 'mid';
-    } else {
-      return 'mid'; // Default to mid-level
-    }
+  return units;
+}
+
+// Linear-interpolated percentile (p in 0..100) of an ascending array
+function percentile(sortedValues, p) {
+  if (sortedValues.length === 0) return null;
+  const rank = (p / 100) * (sortedValues.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sortedValues[lower] + (sortedValues[upper] - sortedValues[lower]) * (rank - lower);
+}
+
+// Standard normal quantile (Acklam's rational approximation, relative error < 1.2e-9)
+function inverseNormalCdf(p) {
+  const a = [-3.969683028665376e+01, 2.209460984245205e+02, -2.759285104469687e+02, 1.383577518672690e+02, -3.066479806614716e+01, 2.506628277459239e+00];
+  const b = [-5.447609879822406e+01, 1.615858368580409e+02, -1.556989798598866e+02, 6.680131188771972e+01, -1.328068155288572e+01];
+  const c = [-7.784894002430293e-03, -3.223964580411365e-01, -2.400758277161838e+00, -2.549732539343734e+00, 4.374664141464968e+00, 2.938163982698783e+00];
+  const d = [7.784695709041462e-03, 3.224671290700398e-01, 2.445134137142996e+00, 3.754408661907416e+00];
+  const pLow = 0.02425;
+
+  if (p < pLow) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  if (p > 1 - pLow) {
+    const q = Math.sqrt(-2 * Math.log(1 - p));
+    return -(((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
   }
+  const q = p - 0.5;
+  const r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+    (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
 
-  detectJobCategory(title) {
-    const titleLower = title.toLowerCase();
-    
-    // First, try exact matches
-    for (const [category, _] of Object.entries(this.salaryData.titleMultipliers)) {
-      if (titleLower === category) {
-        return category;
+// Pay periods per year, from the configured working time (HOUR, DAY, WEEK, MONTH, YEAR)
+function periodsPerYear(period) {
+  const perYear = {
+    HOUR: config.WORK_HOURS_PER_WEEK * config.WORK_WEEKS_PER_YEAR,
+    DAY: config.WORK_DAYS_PER_WEEK * config.WORK_WEEKS_PER_YEAR,
+    WEEK: config.WORK_WEEKS_PER_YEAR,
+    MONTH: 12,
+    YEAR: 1
+  };
+  return perYear[period] || 1;
+}
+
+// Whole units for weekly and longer periods; hourly and daily amounts keep cents
+function roundForPeriod(amount, period) {
+  if (amount === null || amount === undefined) return null;
+  return period === 'HOUR' || period === 'DAY' ? Math.round(amount * 100) / 100 : Math.round(amount);
+}
+
+// Resolves free-text locations ("Austin, Texas, United States (Hybrid)") into
+// city / region / country using the bundled gazetteer in data/gazetteer.json
+class LocationResolver {
+  constructor(gazetteer = require('./data/gazetteer.json')) {
+    this.countriesByName = new Map();
+    this.countriesByCode = new Map();
+    this.regionsByName = new Map();
+    this.citiesByName = new Map();
+
+    for (const country of gazetteer.countries) {
+      this.countriesByCode.set(country.code.toLowerCase(), country);
+      for (const name of [country.name, ...(country.aliases || [])]) {
+        this.countriesByName.set(name.toLowerCase(), country);
       }
     }
-    
-    // Then try includes matches (prioritize longer/more specific matches)
-    let bestMatch = null;
-    let bestMatchLength = 0;
-    
-    for (const [category, _] of Object.entries(this.salaryData.titleMultipliers)) {
-      if (titleLower.includes(category)) {
-        // Prefer longer, more specific matches
-        if (category.length > bestMatchLength) {
-          bestMatch = category;
-          bestMatchLength = category.length;
+
+    for (const region of gazetteer.regions) {
+      for (const name of [region.name, region.code, ...(region.aliases || [])]) {
+        const key = name.toLowerCase();
+        if (!this.regionsByName.has(key)) {
+          this.regionsByName.set(key, []);
         }
+        this.regionsByName.get(key).push(region);
       }
     }
-    
-    if (bestMatch) {
-      return bestMatch;
-    }
-    
-    // Try word-by-word matching for multi-word titles
-    const titleWords = titleLower.split(' ');
-    for (const [category, _] of Object.entries(this.salaryData.titleMultipliers)) {
-      const categoryWords = category.split(' ');
-      // Check if all category words appear in title
-      const allWordsMatch = categoryWords.every(word => 
-        titleWords.some(titleWord => titleWord.includes(word) || word.includes(titleWord))
-      );
-      if (allWordsMatch) {
-        return category;
+
+    for (const city of gazetteer.cities || []) {
+      for (const name of [city.name, ...(city.aliases || [])]) {
+        const key = name.toLowerCase();
+        if (!this.citiesByName.has(key)) {
+          this.citiesByName.set(key, []);
+        }
+        this.citiesByName.get(key).push(city);
       }
     }
-    
-    // Default fallback based on industry detection
-    if (titleLower.includes('store') || titleLower.includes('warehouse') || titleLower.includes('inventory') || titleLower.includes('logistics')) {
-      return 'storekeeper';
-    } else if (titleLower.includes('nurse') || titleLower.includes('medical') || titleLower.includes('health')) {
-      return 'registered nurse';
-    } else if (titleLower.includes('teacher') || titleLower.includes('professor') || titleLower.includes('instructor')) {
-      return 'teacher';
-    } else if (titleLower.includes('sales') || titleLower.includes('retail')) {
-      return 'sales associate';
-    } else if (titleLower.includes('account') || titleLower.includes('finance') || titleLower.includes('financial')) {
-      return 'accountant';
-    } else if (titleLower.includes('market') || titleLower.includes('social media')) {
-      return 'marketing specialist';
-    } else if (titleLower.includes('engineer') || titleLower.includes('developer')) {
-      return 'software engineer';
-    }
-    
-    // Ultimate fallback
-    return 'software engineer';
   }
 
-  detectLocationMultiplier(location) {
-    if (!location) return 1.0;
-    
-    const locationLower = location.toLowerCase().trim();
-    
-    // First try exact match
-    if (this.salaryData.locationMultipliers[locationLower]) {
-      return this.salaryData.locationMultipliers[locationLower];
+  // Strips LinkedIn decorations: work mode suffixes and metro area wording
+  normalizePlaceName(text) {
+    return text
+      .replace(/\((?:remote|hybrid|on-?site)\)/gi, '')
+      .replace(/^greater\s+/i, '')
+      .replace(/\s+(?:bay area|metropolitan area|metropolitan region|metroplex|metro area|area|region)$/i, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  findRegionForCity(regionName, cityName) {
+    const regions = this.regionsByName.get(regionName.toLowerCase()) || [];
+    const cities = this.citiesByName.get(cityName.toLowerCase()) || [];
+    return regions.find(region => cities.some(city =>
+      city.countryCode === region.countryCode && (!city.regionCode || city.regionCode === region.code)
+    )) || null;
+  }
+
+  // With a known region, a city the gazetteer places in another region doesn't match
+  findCity(name, countryCode = null, regionName = null) {
+    const cities = this.citiesByName.get(name.toLowerCase()) || [];
+    const region = regionName ? this.findRegion(regionName, countryCode) : null;
+    return cities.find(city =>
+      (!countryCode || city.countryCode === countryCode) &&
+      (!region || !city.regionCode || city.regionCode === region.code)
+    ) || null;
+  }
+
+  findRegion(name, countryCode = null) {
+    const regions = this.regionsByName.get(name.toLowerCase()) || [];
+    return regions.find(region => !countryCode || region.countryCode === countryCode) || null;
+  }
+
+  resolve(location) {
+    const result = { city: null, region: null, country: null, countryCode: null };
+    if (!location || typeof location !== 'string') return result;
+
+    const parts = location
+      .split(',')
+      .map(part => this.normalizePlaceName(part))
+      .filter(part => part && !NON_PLACE_LOCATIONS.includes(part.toLowerCase()));
+
+    if (parts.length === 0) return result;
+
+    const setCountry = (country) => {
+      result.country = country.name;
+      result.countryCode = country.code;
+    };
+
+    // Country is the last part when present: full name, alias or ISO code
+    const last = parts[parts.length - 1];
+    const lastRegion = parts.length > 1 ? this.findRegion(last) : null;
+    let country = this.countriesByName.get(last.toLowerCase()) ||
+      this.countriesByCode.get(last.toLowerCase()) ||
+      null;
+
+    // A name or code that is also a region ("Rome, Georgia", "Dover, DE") is the
+    // region unless the city is one we know in that country ("Tbilisi, Georgia",
+    // "Berlin, DE", "Mumbai, IN", "Paris, FR")
+    if (country && lastRegion && !this.findCity(parts[0], country.code)) {
+      country = null;
     }
-    
-    // Then try includes match (prioritize longer matches)
-    let bestMatch = null;
-    let bestMatchLength = 0;
-    
-    for (const [loc, multiplier] of Object.entries(this.salaryData.locationMultipliers)) {
-      if (locationLower.includes(loc)) {
-        if (loc.length > bestMatchLength) {
-          bestMatch = multiplier;
-          bestMatchLength = loc.length;
-        }
+
+    if (country) {
+      setCountry(country);
+      parts.pop();
+    }
+
+    if (parts.length === 0) return result;
+
+    if (parts.length >= 2 || (!country && lastRegion)) {
+      const regionPart = parts.pop();
+      // Region codes repeat across countries ("Perth, WA"): prefer the one the city is in
+      const region = (!result.countryCode && parts.length > 0 && this.findRegionForCity(regionPart, parts[0])) ||
+        this.findRegion(regionPart, result.countryCode);
+      result.region = region ? region.name : regionPart;
+      if (region && !result.countryCode) {
+        setCountry(this.countriesByCode.get(region.countryCode.toLowerCase()));
+      }
+    } else {
+      // A single part that is itself a region: "California", "Ontario, Canada"
+      const region = this.findRegion(parts[0], result.countryCode);
+      if (region) {
+        result.region = region.name;
+        setCountry(this.countriesByCode.get(region.countryCode.toLowerCase()));
+        return result;
       }
     }
-    
-    if (bestMatch) {
-      return bestMatch;
-    }
-    
-    // Check for country-level matches (e.g., "United States" vs "USA")
-    const commonCountries = {
-      'usa': 1.0, 'united states': 1.0, 'america': 1.0,
-      'canada': 0.85,
-      'uk': 0.8, 'united kingdom': 0.8, 'england': 0.8,
-      'australia': 0.9,
-      'germany': 0.85,
-      'france': 0.8,
-      'japan': 0.85,
-      'china': 0.7,
-      'india': 0.4,
-      'brazil': 0.5,
-      'mexico': 0.45,
-      'uae': 0.9, 'united arab emirates': 0.9,
-      'saudi arabia': 0.8,
-      'qatar': 0.9,
-      'kuwait': 0.85,
-      'oman': 0.75
-    };
-    
-    for (const [country, multiplier] of Object.entries(commonCountries)) {
-      if (locationLower.includes(country)) {
-        return multiplier;
+
+    if (parts.length > 0) {
+      result.city = parts[0];
+
+      // A known city fills in the country and region the text left out: "London", "Tokyo".
+      // Ambiguous names resolve to the first gazetteer entry ("San Jose" -> California).
+      const city = this.findCity(result.city, result.countryCode);
+      if (city) {
+        if (!result.countryCode) {
+          setCountry(this.countriesByCode.get(city.countryCode.toLowerCase()));
+        }
+        const region = city.regionCode ? this.findRegion(city.regionCode, city.countryCode) : null;
+        result.region = result.region || (region ? region.name : null);
       }
     }
-    
-    // Default multiplier for unknown locations
-    return 0.7; // Slightly below global average for unknown locations
-  }
 
-  async getLinkedInSalaryData(jobTitle, location) {
-    // In a production version, this would:
-    // 1. Query your database of LinkedIn jobs that HAVE salary data
-    // 2. Return real aggregated stats from actual LinkedIn postings
-    
-    // For now, we'll simulate with our enhanced estimator
-    return null;
+    return result;
   }
+}
 
-  async getEnhancedSalaryEstimate(jobTitle, location, experienceLevel = null) {
-    // First, try to get real LinkedIn data (future enhancement)
-    const linkedInData = await this.getLinkedInSalaryData(jobTitle, location);
-    if (linkedInData) {
-      return linkedInData;
-    }
-    
-    // Fall back to estimation
-    const category = this.detectJobCategory(jobTitle);
-    const seniority = experienceLevel || this.detectSeniority(jobTitle);
-    const locationMultiplier = this.detectLocationMultiplier(location);
-    
-    // Get base salary range for this category and seniority
-    const baseRange = this.salaryData.titleMultipliers[category][seniority];
-    
-    // Apply location multiplier
-    const adjustedMin = Math.round(baseRange.min * locationMultiplier);
-    const adjustedMax = Math.round(baseRange.max * locationMultiplier);
-    const adjustedMedian = Math.round(baseRange.median * locationMultiplier);
-    
-    // Calculate additional pay (bonus + equity)
-    const additionalPercentages = this.salaryData.additionalPayPercentages[category] || 
-                                  { bonus: 0.05, equity: 0.02 };
-    
-    const bonusPercent = additionalPercentages.bonus;
-    const equityPercent = additionalPercentages.equity;
-    const totalAdditionalPercent = bonusPercent + equityPercent;
-    
-    // Calculate additional pay ranges
-    const additionalMin = Math.round(adjustedMin * totalAdditionalPercent);
-    const additionalMax = Math.round(adjustedMax * totalAdditionalPercent);
-    const additionalMedian = Math.round(adjustedMedian * totalAdditionalPercent);
-    
-    // Calculate total compensation
-    const totalMin = adjustedMin + additionalMin;
-    const totalMax = adjustedMax + additionalMax;
-    const totalMedian = adjustedMedian + additionalMedian;
-    
-    // Calculate base salary only (for comparison)
-    const baseOnlyMin = adjustedMin;
-    const baseOnlyMax = adjustedMax;
-    const baseOnlyMedian = adjustedMedian;
-    
-    return {
-      query: {
-        jobTitle,
-        location,
-        experienceLevel: seniority,
-        normalizedJobCategory: category,
-        locationMultiplierApplied: locationMultiplier.toFixed(2)
-      },
-      salary: {
-        total: {
-          min: totalMin,
-          max: totalMax,
-          median: totalMedian,
-          average: Math.round((totalMin + totalMax) / 2)
-        },
-        base: {
-          min: baseOnlyMin,
-          max: baseOnlyMax,
-          median: baseOnlyMedian,
-          average: Math.round((baseOnlyMin + baseOnlyMax) / 2)
-        },
-        additional: {
-          min: additionalMin,
-          max: additionalMax,
-          median: additionalMedian,
-          average: Math.round((additionalMin + additionalMax) / 2),
-          breakdown: {
-            bonus: {
-              percentage: Math.round(bonusPercent * 100),
-              estimatedMin: Math.round(adjustedMin * bonusPercent),
-              estimatedMax: Math.round(adjustedMax * bonusPercent)
-            },
-            equity: {
-              percentage: Math.round(equityPercent * 100),
-              estimatedMin: Math.round(adjustedMin * equityPercent),
-              estimatedMax: Math.round(adjustedMax * equityPercent)
-            }
+const locationResolver = new LocationResolver();
+
+// Converts amounts between currencies with the local rate table in
+// data/fx-rates.json (units per 1 USD), extended or overridden by FX_RATES_FILE
+class CurrencyConverter {
+  constructor() {
+    const table = require('./data/fx-rates.json');
+    this.base = table.base;
+    this.version = table.version;
+    this.rates = { ...table.rates };
+
+    if (config.FX_RATES_FILE) {
+      try {
+        const extra = JSON.parse(fs.readFileSync(path.resolve(config.FX_RATES_FILE), 'utf8'));
+        for (const [code, rate] of Object.entries(extra.rates || {})) {
+          if (typeof rate === 'number' && rate > 0) {
+            this.rates[code.toUpperCase()] = rate;
           }
-        },
-        period: "YEAR",
-        currency: "USD"
-      },
-      dataQuality: {
-        source: "LinkedIn Jobs Data & Global Market Research",
-        confidence: locationMultiplier === 1.0 ? "HIGH" : "MEDIUM",
-        confidenceReason: locationMultiplier === 1.0 
-          ? "Based on direct LinkedIn job posting data for this location"
-          : "Adjusted from US baseline using local market factors",
-        methodology: "Aggregated from LinkedIn job postings that publicly display salary ranges, adjusted for local markets",
-        sampleSize: "~5,000+ LinkedIn job postings globally",
-        lastUpdated: new Date().toISOString().split('T')[0],
-        disclaimer: "This is an estimate based on LinkedIn job posting data and market research. Actual compensation varies by company, experience, skills, and negotiation."
-      },
-      insights: {
-        locationFactor: locationMultiplier.toFixed(2),
-        typicalAdditionalPayPercentage: Math.round(totalAdditionalPercent * 100),
-        commonJobTitles: this.getCommonTitles(category),
-        salaryPercentiles: {
-          p25: Math.round(totalMin * 1.1),
-          p75: Math.round(totalMax * 0.9)
-        },
-        marketTrend: "Based on recent LinkedIn job postings"
+        }
+        this.version = extra.version || this.version;
+      } catch (error) {
+        console.error('Error loading FX rates:', error.message);
       }
-    };
+    }
   }
 
-  getCommonTitles(category) {
-    const titles = {
-      'software engineer': ['Software Engineer', 'Backend Engineer', 'Full Stack Engineer', 'Systems Engineer'],
-      'software developer': ['Software Developer', 'Application Developer', 'Programmer', 'Coder'],
-      'frontend developer': ['Frontend Developer', 'UI Developer', 'React Developer', 'Angular Developer'],
-      'backend developer': ['Backend Developer', 'API Developer', 'Server-side Developer', 'Database Developer'],
-      'full stack developer': ['Full Stack Developer', 'Web Developer', 'MERN Stack Developer', 'MEAN Stack Developer'],
-      'devops engineer': ['DevOps Engineer', 'Site Reliability Engineer', 'Cloud Engineer', 'Infrastructure Engineer'],
-      'data scientist': ['Data Scientist', 'Machine Learning Engineer', 'AI Engineer', 'ML Engineer'],
-      'data engineer': ['Data Engineer', 'Big Data Engineer', 'ETL Developer', 'Data Architect'],
-      'product manager': ['Product Manager', 'Technical Product Manager', 'Product Owner', 'PM'],
-      'project manager': ['Project Manager', 'Technical Project Manager', 'Scrum Master', 'PMO'],
-      'storekeeper': ['Storekeeper', 'Warehouse Keeper', 'Inventory Clerk', 'Stock Clerk'],
-      'warehouse associate': ['Warehouse Associate', 'Warehouse Worker', 'Fulfillment Associate', 'Picker Packer'],
-      'inventory manager': ['Inventory Manager', 'Inventory Control Manager', 'Stock Manager'],
-      'logistics coordinator': ['Logistics Coordinator', 'Logistics Specialist', 'Supply Chain Coordinator'],
-      'supply chain analyst': ['Supply Chain Analyst', 'Supply Chain Specialist', 'Logistics Analyst'],
-      'cashier': ['Cashier', 'Sales Cashier', 'Checkout Associate'],
-      'sales associate': ['Sales Associate', 'Sales Representative', 'Retail Sales', 'Salesperson'],
-      'customer service representative': ['Customer Service Rep', 'CSR', 'Support Specialist', 'Customer Support'],
-      'retail manager': ['Retail Manager', 'Store Manager', 'Shop Manager', 'Assistant Store Manager'],
-      'registered nurse': ['Registered Nurse', 'RN', 'Staff Nurse', 'Clinical Nurse'],
-      'medical assistant': ['Medical Assistant', 'Clinical Assistant', 'Healthcare Assistant'],
-      'pharmacist': ['Pharmacist', 'Pharmacy Manager', 'Clinical Pharmacist'],
-      'teacher': ['Teacher', 'Educator', 'Classroom Teacher', 'Instructor'],
-      'professor': ['Professor', 'Assistant Professor', 'Associate Professor', 'Faculty'],
-      'electrician': ['Electrician', 'Electrical Technician', 'Master Electrician'],
-      'plumber': ['Plumber', 'Pipefitter', 'Plumbing Technician'],
-      'construction worker': ['Construction Worker', 'Laborer', 'Construction Laborer'],
-      'administrative assistant': ['Administrative Assistant', 'Admin Assistant', 'Office Assistant'],
-      'receptionist': ['Receptionist', 'Front Desk', 'Front Office'],
-      'office manager': ['Office Manager', 'Operations Manager', 'Facilities Manager'],
-      'accountant': ['Accountant', 'Staff Accountant', 'CPA', 'Accounting Manager'],
-      'financial analyst': ['Financial Analyst', 'Finance Analyst', 'Investment Analyst'],
-      'marketing specialist': ['Marketing Specialist', 'Marketing Coordinator', 'Digital Marketing'],
-      'social media manager': ['Social Media Manager', 'Social Media Specialist', 'Community Manager'],
-      'lawyer': ['Lawyer', 'Attorney', 'Counsel', 'Legal Counsel'],
-      'paralegal': ['Paralegal', 'Legal Assistant'],
-      'chef': ['Chef', 'Line Cook', 'Sous Chef', 'Executive Chef'],
-      'hotel manager': ['Hotel Manager', 'Front Office Manager', 'Hotel Operations'],
-      'truck driver': ['Truck Driver', 'CDL Driver', 'Long Haul Driver'],
-      'delivery driver': ['Delivery Driver', 'Courier', 'Parcel Delivery']
-    };
-    
-    return titles[category] || [category.split(' ').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ')];
+  hasCurrency(code) {
+    return Boolean(code && this.rates[code.toUpperCase()]);
+  }
+
+  // Null when either currency is missing from the table
+  convert(amount, from, to = this.base) {
+    if (amount === null || amount === undefined || !this.hasCurrency(from) || !this.hasCurrency(to)) {
+      return null;
+    }
+    return amount / this.rates[from.toUpperCase()] * this.rates[to.toUpperCase()];
   }
 }
 
-class CompanyEnricher {
+const currencyConverter = new CurrencyConverter();
+
+// Finds skills in job description text using the bundled dictionary in
+// data/skills.json, extended or overridden by SKILLS_DICTIONARY_FILE
+class SkillExtractor {
   constructor() {
-    this.userAgents = [];
-    for (let i = 0; i < 10; i++) {
-      this.userAgents.push(new UserAgent({ deviceCategory: 'desktop' }).toString());
+    this.skills = this.loadDictionary();
+    this.matchers = this.skills.map(skill => {
+      const caseSensitive = skill.caseSensitiveAliases || [];
+      const caseSensitiveLower = caseSensitive.map(alias => alias.toLowerCase());
+      const aliases = [...new Set([skill.name, ...(skill.aliases || [])].map(alias => alias.toLowerCase()))]
+        .filter(alias => !caseSensitiveLower.includes(alias));
+
+      // Case-sensitive aliases are everyday words too ("Go", "Swift", "Excel", "Spark"),
+      // so in descriptions they only count with technical context (see hasSkillContext)
+      return {
+        skill,
+        patterns: aliases.map(alias => this.buildPattern(alias, false)),
+        contextPatterns: caseSensitive.map(alias => this.buildPattern(alias, true))
+      };
+    });
+  }
+
+  loadDictionary() {
+    const byName = new Map();
+    const addSkill = (skill) => {
+      const key = skill.name.toLowerCase();
+      const existing = byName.get(key);
+      if (!existing) {
+        byName.set(key, { ...skill });
+        return;
+      }
+      byName.set(key, {
+        ...existing,
+        ...skill,
+        aliases: [...new Set([...(existing.aliases || []), ...(skill.aliases || [])])],
+        caseSensitiveAliases: [...new Set([...(existing.caseSensitiveAliases || []), ...(skill.caseSensitiveAliases || [])])]
+      });
+    };
+
+    require('./data/skills.json').skills.forEach(addSkill);
+
+    if (config.SKILLS_DICTIONARY_FILE) {
+      try {
+        const extra = JSON.parse(fs.readFileSync(path.resolve(config.SKILLS_DICTIONARY_FILE), 'utf8'));
+        (extra.skills || []).filter(skill => skill && skill.name).forEach(addSkill);
+      } catch (error) {
+        console.error('Error loading skills dictionary:', error.message);
+      }
     }
+
+    return [...byName.values()];
   }
 
-  getRandomUserAgent() {
-    return this.userAgents[Math.floor(Math.random() * this.userAgents.length)];
+  // Word-ish boundaries that still work for names like C++, C#, .NET and Node.js.
+  // Case-sensitive aliases also skip hyphenated prose ("Go-to-market") and a season
+  // before a year ("Spring 2025"); "React-based" still counts.
+  buildPattern(alias, caseSensitive) {
+    const escaped = alias.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const prose = caseSensitive ? '|-(?!based\\b)|\\s+(?:19|20)\\d{2}\\b' : '';
+    return new RegExp(`(?<![A-Za-z0-9+#.])${escaped}(?![A-Za-z0-9+#&]|\\.[A-Za-z0-9]${prose})`, caseSensitive ? '' : 'i');
   }
 
-  getHeaders() {
-    return {
-      'User-Agent': this.getRandomUserAgent(),
-      'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
-      'Accept-Language': 'en-US,en;q=0.5',
-      'Accept-Encoding': 'gzip, deflate, br',
-      'Connection': 'keep-alive',
-      'Upgrade-Insecure-Requests': '1',
-      'Sec-Fetch-Dest': 'document',
-      'Sec-Fetch-Mode': 'navigate',
-      'Sec-Fetch-Site': 'none',
-      'Sec-Fetch-User': '?1',
-      'Cache-Control': 'max-age=0',
-    };
+  // A sentence is technical when it names an unambiguous skill or uses a word like
+  // "experience", "framework" or "developer": "Proficiency in Go" but not "Go above
+  // and beyond", "Spark joy" or "Series R"
+  hasSkillContext(text, skillsInText) {
+    return skillsInText > 0 || SKILL_CONTEXT_PATTERN.test(text);
   }
 
-  async fetchCompanyProfile(companyUrl) {
-    if (!companyUrl || !companyUrl.includes('/company/')) {
-      return null;
+  classifyImportance(text, sectionType) {
+    if (sectionType === 'preferred' ||
+        /\b(nice[- ]to[- ]have|preferred|a plus|is a bonus|bonus points|an advantage|desirable|ideally)\b/i.test(text)) {
+      return 'preferred';
     }
-
-    const cacheKey = `company:${companyUrl}`;
-    const cached = cache.get(cacheKey);
-    if (cached) {
-      return cached;
+    if (sectionType === 'requirements' ||
+        /\b(required|requires?|must|need|proficien\w*|strong|solid|experience (with|in)|\d+\+? years|knowledge of|expertise)\b/i.test(text)) {
+      return 'required';
     }
+    return 'mentioned';
+  }
 
-    try {
-      let fullUrl = companyUrl;
-      if (!companyUrl.startsWith('http')) {
-        fullUrl = `${config.LINKEDIN_BASE_URL}${companyUrl}`;
+  // Returns [{ name, category, importance }], importance being required, preferred
+  // or mentioned. Section types from descriptionSections drive importance when present.
+  extract(sections, descriptionText, listedSkills = []) {
+    const units = splitDescriptionUnits(sections, descriptionText);
+    const rank = { required: 3, preferred: 2, mentioned: 1 };
+    const found = new Map();
+    const record = (skill, importance) => {
+      const existing = found.get(skill.name);
+      if (!existing || rank[importance] > rank[existing.importance]) {
+        found.set(skill.name, {
+          name: skill.name,
+          category: skill.category || null,
+          importance,
+          order: existing ? existing.order : found.size
+        });
       }
+    };
 
-      const response = await axios.get(fullUrl, {
-        headers: this.getHeaders(),
-        timeout: config.REQUEST_TIMEOUT,
-      });
-
-      const $ = cheerio.load(response.data);
-      
-      const companyInfo = {
-        about: this.extractCompanyAbout($),
-        employeeCount: this.extractEmployeeCount($),
-        headquarters: this.extractHeadquarters($),
-        website: this.extractWebsite($),
-        industry: this.extractIndustry($),
-        founded: this.extractFoundedYear($),
-        specialties: this.extractSpecialties($),
-        followers: this.extractFollowers($), // FIXED: Now correctly extracts from top card
-        linkedinUrl: fullUrl,
-      };
+    for (const unit of units) {
+      const importance = this.classifyImportance(unit.text, unit.sectionType);
+      const matched = this.matchers.filter(({ patterns }) => patterns.some(pattern => pattern.test(unit.text)));
+      matched.forEach(({ skill }) => record(skill, importance));
 
-      if (companyInfo.about || companyInfo.employeeCount) {
-        cache.set(cacheKey, companyInfo);
+      if (this.hasSkillContext(unit.text, matched.length)) {
+        for (const { skill, contextPatterns } of this.matchers) {
+          if (contextPatterns.some(pattern => pattern.test(unit.text))) {
+            record(skill, importance);
+          }
+        }
       }
+    }
 
-      return companyInfo;
+    // Skills LinkedIn lists on the page itself (logged-in sessions only); these are
+    // skills by definition, so case-sensitive aliases need no context
+    for (const listed of listedSkills) {
+      const matcher = this.matchers.find(({ patterns, contextPatterns }) =>
+        [...patterns, ...contextPatterns].some(pattern => pattern.test(listed)));
+      record(matcher ? matcher.skill : { name: listed, category: null }, 'mentioned');
+    }
+
+    return [...found.values()]
+      .sort((a, b) => rank[b.importance] - rank[a.importance] || a.order - b.order)
+      .map(({ order, ...skill }) => skill);
+  }
+}
 
+// Posted salaries observed during job detail fetches, persisted as JSON at
+// SALARY_STORE_FILE. One entry per job ID; amounts are annualized USD.
+class SalaryObservationStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.observations = new Map();
+    this.saveTimer = null;
+    this.saving = null;
+    this.dirty = false;
+    this.writeGeneration = 0;
+    this.load();
+  }
+
+  load() {
+    try {
+      if (!fs.existsSync(this.filePath)) return;
+      const stored = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      for (const observation of stored.observations || []) {
+        this.observations.set(observation.jobId, observation);
+      }
     } catch (error) {
-      console.error('Error fetching company profile:', error.message);
-      return null;
+      console.error('Error loading salary observations:', error.message);
     }
   }
 
-  extractCompanyAbout($) {
-    const aboutSection = $('section[data-test-id="about-us"]');
-    if (aboutSection.length) {
-      const text = aboutSection.find('p, div.core-section-container__content').text().trim();
-      return text || null;
+  record(observation) {
+    // Re-insert so the Map stays ordered oldest-first for trimming
+    this.observations.delete(observation.jobId);
+    this.observations.set(observation.jobId, observation);
+
+    while (this.observations.size > config.SALARY_STORE_MAX_OBSERVATIONS) {
+      this.observations.delete(this.observations.keys().next().value);
     }
-    
-    const selectors = [
-      '.about-us__description',
-      '.org-about-module__description',
-      '.company-about',
-      '[data-test-id="about-us"] p'
-    ];
-    
-    for (const selector of selectors) {
-      const element = $(selector);
-      if (element.length) {
-        const text = element.text().trim();
-        if (text) return text;
-      }
+    this.dirty = true;
+    this.scheduleSave();
+  }
+
+  // Writes are batched: job detail fetches often arrive in bursts (batch, includeDetails)
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.save();
+    }, 1000);
+    this.saveTimer.unref();
+  }
+
+  // Asynchronous so a large store doesn't block requests; one write at a time, and
+  // observations recorded during a write are saved by the next one. A write that a
+  // flushSync overtook is discarded rather than renamed over the newer file.
+  save() {
+    if (this.saving) {
+      return this.saving;
     }
-    
-    return null;
+
+    this.dirty = false;
+    const generation = ++this.writeGeneration;
+    const tempFile = `${this.filePath}.tmp`;
+    const snapshot = JSON.stringify({ observations: [...this.observations.values()] });
+    this.saving = fs.promises.mkdir(path.dirname(this.filePath), { recursive: true })
+      .then(() => fs.promises.writeFile(tempFile, snapshot))
+      .then(() => (generation === this.writeGeneration
+        ? fs.promises.rename(tempFile, this.filePath)
+        : fs.promises.unlink(tempFile)))
+      .catch(error => {
+        this.dirty = true;
+        console.error('Error saving salary observations:', error.message);
+      })
+      .finally(() => {
+        this.saving = null;
+        if (this.dirty) this.scheduleSave();
+      });
+    return this.saving;
   }
 
-  extractEmployeeCount($) {
-    const selectors = [
-      'dt:contains("Company size") + dd',
-      'dt:contains("Employees") + dd',
-      '.org-page-details__employees',
-      '[data-test-id="about-us__size"]'
-    ];
-    
-    for (const selector of selectors) {
-      const element = $(selector);
-      if (element.length) {
-        const text = element.text().trim();
-        if (text) return this.cleanEmployeeCount(text);
-      }
+  // Final synchronous write on shutdown, for observations still waiting on the timer
+  // or in an async write that won't get to finish. Uses its own temp file so that
+  // write can't land in the file renamed into place here.
+  flushSync() {
+    if (!this.dirty && !this.saving) return;
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    this.writeGeneration++;
+
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      const tempFile = `${this.filePath}.sync.tmp`;
+      fs.writeFileSync(tempFile, JSON.stringify({ observations: [...this.observations.values()] }));
+      fs.renameSync(tempFile, this.filePath);
+      this.dirty = false;
+    } catch (error) {
+      console.error('Error saving salary observations:', error.message);
     }
-    
-    return null;
   }
 
-  cleanEmployeeCount(text) {
-    const match = text.match(/(\d+(?:,\d+)*(?:\.\d+)?)/);
-    if (match) {
-      return match[0].replace(/,/g, '');
+  // Recent observations for a role, split into the same city and the same country
+  find({ category, seniority, countryCode, city }) {
+    const cutoff = Date.now() - config.SALARY_OBSERVATION_MAX_AGE_DAYS * 86400000;
+    const cityKey = city ? city.toLowerCase() : null;
+    const matches = { city: [], country: [] };
+
+    for (const observation of this.observations.values()) {
+      if (observation.category !== category || observation.seniority !== seniority ||
+          observation.countryCode !== countryCode || new Date(observation.observedAt).getTime() < cutoff) {
+        continue;
+      }
+      matches.country.push(observation);
+      if (cityKey && observation.city && observation.city.toLowerCase() === cityKey) {
+        matches.city.push(observation);
+      }
     }
-    return text;
+
+    return matches;
   }
+}
 
-  extractHeadquarters($) {
-    const locationElement = $('dt:contains("Headquarters") + dd');
-    return locationElement.length ? locationElement.text().trim() : null;
+class SalaryEstimator {
+  constructor() {
+    // Pay bands, location multipliers and additional pay come from data/salary-dataset.json,
+    // extended or overridden by SALARY_DATASET_FILE. See validateDataset for the schema.
+    try {
+      this.salaryData = this.loadDataset();
+    } catch (error) {
+      if (!config.SALARY_DATASET_FILE) throw error;
+      console.error('Error loading salary dataset override:', error.message);
+      this.salaryData = this.readBundledDataset();
+    }
+
+    this.titleIndex = this.buildTitleIndex();
+    this.titleTokenWeights = this.buildTitleTokenWeights(this.titleIndex);
+    this.observations = new SalaryObservationStore(config.SALARY_STORE_FILE);
   }
 
-  extractWebsite($) {
-    const websiteElement = $('dt:contains("Website") + dd a');
-    return websiteElement.length ? websiteElement.attr('href') : null;
+  // Read from disk rather than require()d so an admin reload sees edits to the file
+  readBundledDataset() {
+    return JSON.parse(fs.readFileSync(path.join(__dirname, 'data', 'salary-dataset.json'), 'utf8'));
   }
 
-  extractIndustry($) {
-    const industryElement = $('dt:contains("Industry") + dd');
-    return industryElement.length ? industryElement.text().trim() : null;
+  loadDataset() {
+    const bundled = this.readBundledDataset();
+    const bundledErrors = this.validateDataset(bundled);
+    if (bundledErrors.length > 0) {
+      throw new Error(`Invalid bundled salary dataset: ${bundledErrors.join('; ')}`);
+    }
+
+    if (!config.SALARY_DATASET_FILE) {
+      return bundled;
+    }
+
+    const override = JSON.parse(fs.readFileSync(path.resolve(config.SALARY_DATASET_FILE), 'utf8'));
+    const dataset = {
+      version: override.version || bundled.version,
+      titleMultipliers: { ...bundled.titleMultipliers, ...override.titleMultipliers },
+      locationMultipliers: { ...bundled.locationMultipliers, ...override.locationMultipliers },
+      additionalPayPercentages: { ...bundled.additionalPayPercentages, ...override.additionalPayPercentages },
+      commonTitles: { ...bundled.commonTitles, ...override.commonTitles },
+      titleAbbreviations: { ...bundled.titleAbbreviations, ...override.titleAbbreviations }
+    };
+
+    const errors = this.validateDataset(dataset);
+    if (errors.length > 0) {
+      const error = new Error(`Invalid salary dataset ${config.SALARY_DATASET_FILE}: ${errors.join('; ')}`);
+      error.details = errors;
+      throw error;
+    }
+    return dataset;
   }
 
-  extractFoundedYear($) {
-    const foundedElement = $('dt:contains("Founded") + dd');
-    return foundedElement.length ? foundedElement.text().trim() : null;
+  // Re-reads the dataset files. The current dataset stays in place if the new one is invalid.
+  reloadDataset() {
+    this.salaryData = this.loadDataset();
+    this.titleIndex = this.buildTitleIndex();
+    this.titleTokenWeights = this.buildTitleTokenWeights(this.titleIndex);
+    return {
+      version: this.salaryData.version,
+      titles: Object.keys(this.salaryData.titleMultipliers).length,
+      locations: Object.keys(this.salaryData.locationMultipliers).length
+    };
   }
 
-  extractSpecialties($) {
-    const specialtiesElement = $('dt:contains("Specialties") + dd');
-    if (specialtiesElement.length) {
-      return specialtiesElement.text().trim().split(',').map(s => s.trim()).filter(Boolean);
+  // Schema: every title has junior/mid/senior/lead bands of positive numbers with
+  // min <= median <= max, location multipliers are positive, bonus/equity are 0..1
+  validateDataset(dataset) {
+    const errors = [];
+    const isPositive = value => typeof value === 'number' && Number.isFinite(value) && value > 0;
+
+    if (!dataset || typeof dataset !== 'object') {
+      return ['dataset must be an object'];
+    }
+    if (typeof dataset.version !== 'string' || !dataset.version) {
+      errors.push('version is required');
     }
-    return null;
-  }
 
-  // FIXED: Extracts followers from the top card area (where your screenshot shows)
-  extractFollowers($) {
-    // Look in the top card area where location and followers appear together
-    const topCardSelectors = [
-      '.org-top-card-summary__info',
-      '.org-top-card__primary-content',
-      '.org-top-card-summary__details',
-      '.org-top-card__content',
-      '.top-card-layout__first-subline'
-    ];
-    
-    for (const selector of topCardSelectors) {
-      const topCardElement = $(selector);
-      if (topCardElement.length) {
-        const text = topCardElement.text().trim();
-        // Pattern: location · X followers (like in your screenshot)
-        const followerMatch = text.match(/·\s*([\d,]+(?:\.\d+)?[KMB]?)\s*followers?/i);
-        if (followerMatch) {
-          return followerMatch[1];
+    for (const [title, bands] of Object.entries(dataset.titleMultipliers || {})) {
+      for (const band of SENIORITY_BANDS) {
+        const range = bands && bands[band];
+        if (!range) {
+          errors.push(`titleMultipliers.${title}.${band} is missing`);
+        } else if (![range.min, range.median, range.max].every(isPositive)) {
+          errors.push(`titleMultipliers.${title}.${band} needs positive min, median and max`);
+        } else if (!(range.min <= range.median && range.median <= range.max)) {
+          errors.push(`titleMultipliers.${title}.${band} must satisfy min <= median <= max`);
         }
       }
     }
-    
-    // Alternative: Look for any element containing "followers" in the top section
-    const anyFollowerElement = $('.org-top-card-module__details, .org-top-card__details, .org-top-card__summary-info')
-      .find('*:contains("followers")').first();
-    
-    if (anyFollowerElement.length) {
-      const text = anyFollowerElement.text().trim();
-      const match = text.match(/([\d,]+(?:\.\d+)?[KMB]?)\s*followers?/i);
-      return match ? match[1] : null;
+    if (Object.keys(dataset.titleMultipliers || {}).length === 0) {
+      errors.push('titleMultipliers must not be empty');
     }
-    
-    // Last resort: Look for the pattern "· X followers" anywhere in the page
-    const bodyText = $('body').text();
-    const globalMatch = bodyText.match(/·\s*([\d,]+(?:\.\d+)?[KMB]?)\s*followers/i);
-    if (globalMatch) {
-      return globalMatch[1];
+
+    for (const [location, multiplier] of Object.entries(dataset.locationMultipliers || {})) {
+      if (!isPositive(multiplier)) {
+        errors.push(`locationMultipliers.${location} must be a positive number`);
+      }
     }
-    
-    return null;
+
+    for (const [title, pay] of Object.entries(dataset.additionalPayPercentages || {})) {
+      const inRange = value => typeof value === 'number' && value >= 0 && value <= 1;
+      if (!pay || !inRange(pay.bonus) || !inRange(pay.equity)) {
+        errors.push(`additionalPayPercentages.${title} needs bonus and equity between 0 and 1`);
+      }
+    }
+
+    for (const [title, titles] of Object.entries(dataset.commonTitles || {})) {
+      if (!Array.isArray(titles) || !titles.every(t => typeof t === 'string')) {
+        errors.push(`commonTitles.${title} must be an array of strings`);
+      }
+    }
+
+    for (const [abbreviation, expansion] of Object.entries(dataset.titleAbbreviations || {})) {
+      if (typeof expansion !== 'string' || !expansion.trim()) {
+        errors.push(`titleAbbreviations.${abbreviation} must be a non-empty string`);
+      }
+    }
+
+    return errors;
   }
-}
 
-class LinkedInScraper {
-  constructor() {
-    this.userAgents = [];
-    this.companyEnricher = new CompanyEnricher();
-    this.salaryEstimator = new SalaryEstimator();
-    for (let i = 0; i < 10; i++) {
-      this.userAgents.push(new UserAgent({ deviceCategory: 'desktop' }).toString());
+  detectSeniority(title) {
+    const titleLower = title.toLowerCase();
+    if (titleLower.includes('senior') || titleLower.includes('sr ') || titleLower.includes('sr.')) {
+      return 'senior';
+    } else if (titleLower.includes('lead') || titleLower.includes('principal') || titleLower.includes('staff')) {
+      return 'lead';
+    } else if (titleLower.includes('junior') || titleLower.includes('jr ') || titleLower.includes('jr.')) {
+      return 'junior';
+    } else if (titleLower.includes('mid') || titleLower.includes('intermediate')) {
+      return 'mid';
+    } else {
+      return 'mid'; // Default to mid-level
     }
   }
 
-  getRandomUserAgent() {
-    return this.userAgents[Math.floor(Math.random() * this.userAgents.length)];
+  // Dataset category for a title, or null for an unknown occupation
+  detectJobCategory(title) {
+    return this.matchJobCategory(title).category;
   }
 
-  getHeaders() {
+  // Fuzzy title match against each category's name and common titles, with
+  // abbreviations expanded (SWE, SRE, RN, PM). Returns the best category when it
+  // scores at least TITLE_MATCH_THRESHOLD, plus the runners-up as alternatives.
+  // The title before any team or specialty qualifier ("Software Engineer, Payments",
+  // "Data Engineer - Platform") is matched as well as the full title.
+  matchJobCategory(title) {
+    const core = (title || '').split(/\s[-–|]\s|[,(|]/)[0];
+    const candidates = [...new Set([title || '', core].map(text => this.normalizeJobTitle(text)))];
+    const scored = Object.entries(this.titleIndex)
+      .map(([category, synonyms]) => ({
+        category,
+        confidence: Math.max(...synonyms.flatMap(synonym =>
+          candidates.map(candidate => this.scoreTitleMatch(candidate, synonym))
+        ))
+      }))
+      .filter(match => match.confidence > 0)
+      .sort((a, b) => b.confidence - a.confidence);
+
+    const best = scored[0] && scored[0].confidence >= TITLE_MATCH_THRESHOLD ? scored[0] : null;
+    const round = value => Math.round(value * 100) / 100;
+
     return {
-      'User-Agent': this.getRandomUserAgent(),
-      'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
-      'Accept-Language': 'en-US,en;q=0.5',
-      'Accept-Encoding': 'gzip, deflate, br',
-      'Connection': 'keep-alive',
-      'Upgrade-Insecure-Requests': '1',
-      'Sec-Fetch-Dest': 'document',
-      'Sec-Fetch-Mode': 'navigate',
-      'Sec-Fetch-Site': 'none',
-      'Sec-Fetch-User': '?1',
-      'Cache-Control': 'max-age=0',
+      category: best ? best.category : null,
+      matchConfidence: scored[0] ? round(scored[0].confidence) : 0,
+      alternatives: scored
+        .slice(best ? 1 : 0, (best ? 1 : 0) + 3)
+        .filter(match => match.confidence >= TITLE_ALTERNATIVE_THRESHOLD)
+        .map(match => ({ category: match.category, confidence: round(match.confidence) }))
     };
   }
 
-  async fetchWithRetry(url, retries = config.MAX_RETRIES) {
-    for (let i = 0; i < retries; i++) {
-      try {
-        const response = await axios.get(url, {
-          headers: this.getHeaders(),
-          timeout: config.REQUEST_TIMEOUT,
-        });
-        return response;
-      } catch (error) {
-        if (i === retries - 1) throw error;
-        await new Promise(resolve => setTimeout(resolve, 1000 * (i + 1)));
+  // Category -> normalized synonyms, rebuilt whenever the dataset is (re)loaded
+  buildTitleIndex() {
+    const index = {};
+    for (const category of Object.keys(this.salaryData.titleMultipliers)) {
+      const titles = (this.salaryData.commonTitles || {})[category] || [];
+      index[category] = [...new Set([category, ...titles].map(synonym => this.normalizeJobTitle(synonym)))]
+        .filter(Boolean);
+    }
+    return index;
+  }
+
+  // Token -> weight for overlap scoring: words shared by many categories ("engineer",
+  // "manager") count for less than the words that tell categories apart
+  buildTitleTokenWeights(index) {
+    const categoryCounts = new Map();
+    for (const synonyms of Object.values(index)) {
+      for (const token of new Set(synonyms.flatMap(synonym => synonym.split(' ')))) {
+        categoryCounts.set(token, (categoryCounts.get(token) || 0) + 1);
       }
     }
+    const weights = new Map();
+    for (const [token, count] of categoryCounts) {
+      weights.set(token, 1 / Math.sqrt(count));
+    }
+    return weights;
   }
 
-  // FIXED: Extract numeric ID - prioritize LinkedIn URL ID first
-  extractNumericId(input, jobLink = null) {
-    if (!input) return null;
-    
-    const str = String(input);
-    
-    // PRIORITY 1: Extract from LinkedIn job URL (most reliable)
+  // Lowercase words with punctuation, seniority and level markers removed and
+  // abbreviations expanded: "Sr. SWE II (Backend)" -> "software engineer backend"
+  normalizeJobTitle(title) {
+    let normalized = ` ${title.toLowerCase().replace(/[^a-z0-9+#]+/g, ' ')} `;
+
+    for (const [abbreviation, expansion] of Object.entries(this.salaryData.titleAbbreviations || {})) {
+      normalized = normalized.split(` ${abbreviation} `).join(` ${expansion} `);
+    }
+
+    return normalized
+      .replace(/\b(senior|sr|junior|jr|lead|principal|staff|mid|intermediate|entry|level|i|ii|iii|iv|1|2|3)\b/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  // 1 for the same title; a synonym found inside a longer title scores the share
+  // of the title it covers, so "Nurse Practitioner" or "Accountant Intern" don't pass
+  // as "Nurse" or "Accountant"; otherwise weighted token overlap, tolerating
+  // one-letter typos
+  scoreTitleMatch(title, synonym) {
+    if (!title || !synonym) return 0;
+    if (title === synonym) return 1;
+
+    const titleTokens = title.split(' ');
+    const synonymTokens = synonym.split(' ');
+    if (` ${title} `.includes(` ${synonym} `)) {
+      return synonymTokens.length / titleTokens.length;
+    }
+
+    const weight = tokens => tokens.reduce((sum, token) => sum + (this.titleTokenWeights.get(token) || 1), 0);
+    const matchedSynonym = synonymTokens.filter(token => titleTokens.some(other => this.tokensMatch(token, other)));
+    const matchedTitle = titleTokens.filter(token => synonymTokens.some(other => this.tokensMatch(token, other)));
+    return 0.9 * (weight(matchedSynonym) + weight(matchedTitle)) / (weight(titleTokens) + weight(synonymTokens));
+  }
+
+  tokensMatch(a, b) {
+    if (a === b) return true;
+    if (Math.min(a.length, b.length) < 5 || Math.abs(a.length - b.length) > 1) return false;
+    // Two dataset words are never typos of each other ("stack", "stock")
+    if (this.titleTokenWeights.has(a) && this.titleTokenWeights.has(b)) return false;
+
+    // Levenshtein distance of at most 1
+    let i = 0;
+    let j = 0;
+    let edits = 0;
+    while (i < a.length && j < b.length) {
+      if (a[i] === b[j]) {
+        i++;
+        j++;
+        continue;
+      }
+      if (++edits > 1) return false;
+      if (a.length > b.length) i++;
+      else if (b.length > a.length) j++;
+      else { i++; j++; }
+    }
+    return edits + (a.length - i) + (b.length - j) <= 1;
+  }
+
+  detectLocationMultiplier(location) {
+    return this.resolveLocationMultiplier(location).multiplier;
+  }
+
+  // Resolves the location with the gazetteer and picks the most specific multiplier:
+  // the city (only if the gazetteer places that city in the resolved country and
+  // region, so "Rome, Georgia" never gets Rome, Italy and "Portland, ME" never gets
+  // Portland, Oregon), then the country. Places with no
+  // country ("Remote", "Europe") match a multiplier key exactly as an area.
+  resolveLocationMultiplier(location) {
+    const multipliers = this.salaryData.locationMultipliers;
+    const resolved = locationResolver.resolve(location);
+    const match = (multiplier, matchLevel, resolvedLocation = resolved) => ({
+      multiplier,
+      matchLevel,
+      defaultUsed: matchLevel === 'default',
+      resolvedLocation
+    });
+    const lookup = keys => keys.map(key => key.toLowerCase()).find(key => multipliers[key] !== undefined);
+
+    if (!location || !location.trim()) {
+      return match(1.0, 'default');
+    }
+
+    if (resolved.countryCode) {
+      const countryCode = resolved.countryCode.toLowerCase();
+      const city = resolved.city ? locationResolver.findCity(resolved.city, resolved.countryCode, resolved.region) : null;
+      // Country-qualified keys ("san jose, us") win over bare city names
+      const cityNames = city ? [city.name, ...(city.aliases || [])] : [];
+      const cityKey = lookup([
+        ...[resolved.city, ...cityNames].filter(Boolean).map(name => `${name}, ${countryCode}`),
+        ...cityNames
+      ]);
+      if (cityKey) {
+        return match(multipliers[cityKey], 'city');
+      }
+
+      const country = locationResolver.countriesByCode.get(countryCode);
+      const countryKey = lookup([country.name, country.code, ...(country.aliases || [])]);
+      if (countryKey) {
+        return match(multipliers[countryKey], 'country');
+      }
+    } else {
+      const areaKey = lookup([location.trim()]);
+      if (areaKey) {
+        return match(multipliers[areaKey], 'area', { city: null, region: null, country: null, countryCode: null, area: location.trim() });
+      }
+    }
+
+    // Default multiplier for unknown locations
+    return match(DEFAULT_LOCATION_MULTIPLIER, 'default');
+  }
+
+  // Stores a posted salary from a job details fetch. Skipped when the title maps to
+  // no dataset category or the location has no country, since it couldn't be queried.
+  recordObservation({ jobId, title, locationDetails, salary, postedAt }) {
+    const category = title ? this.detectJobCategory(title) : null;
+    const usd = salary && salary.usdEquivalent;
+    if (!category || !locationDetails || !locationDetails.countryCode || !usd || usd.annualizedMin === null) {
+      return;
+    }
+
+    this.observations.record({
+      jobId,
+      category,
+      seniority: this.detectSeniority(title),
+      city: locationDetails.city,
+      region: locationDetails.region,
+      countryCode: locationDetails.countryCode,
+      annualUsdMin: usd.annualizedMin,
+      annualUsdMax: usd.annualizedMax !== null ? usd.annualizedMax : usd.annualizedMin,
+      currency: salary.currency,
+      period: salary.period,
+      postedAt: postedAt || null,
+      observedAt: new Date().toISOString()
+    });
+  }
+
+  // Base pay from observed posted salaries for this role, seniority and place:
+  // the city when it has enough samples, otherwise the country. Null below
+  // SALARY_MIN_SAMPLE_SIZE; `available` reports how many were found either way.
+  async getLinkedInSalaryData(jobTitle, location, seniority) {
+    const category = this.detectJobCategory(jobTitle);
+    const { city, countryCode, country } = locationResolver.resolve(location);
+    if (!category || !countryCode) {
+      return { available: 0, stats: null };
+    }
+
+    const matches = this.observations.find({ category, seniority, countryCode, city });
+    const scope = matches.city.length >= config.SALARY_MIN_SAMPLE_SIZE ? 'city' : 'country';
+    const sample = scope === 'city' ? matches.city : matches.country;
+    if (sample.length < config.SALARY_MIN_SAMPLE_SIZE) {
+      return { available: sample.length, stats: null };
+    }
+
+    // Each posting contributes the midpoint of its range
+    const values = sample
+      .map(observation => (observation.annualUsdMin + observation.annualUsdMax) / 2)
+      .sort((a, b) => a - b);
+    const observedDates = sample.map(observation => observation.observedAt).sort();
+
+    return {
+      available: sample.length,
+      stats: {
+        sampleSize: sample.length,
+        scope,
+        scopeName: scope === 'city' ? `${sample[0].city}, ${country}` : country,
+        dateRange: {
+          from: observedDates[0].split('T')[0],
+          to: observedDates[observedDates.length - 1].split('T')[0]
+        },
+        mean: values.reduce((sum, value) => sum + value, 0) / values.length,
+        values
+      }
+    };
+  }
+
+  // Local currency of the location's country; USD when the place can't be resolved
+  detectLocalCurrency(location) {
+    const { countryCode } = locationResolver.resolve(location);
+    const country = countryCode ? locationResolver.countriesByCode.get(countryCode.toLowerCase()) : null;
+    return country && currencyConverter.hasCurrency(country.currency) ? country.currency : 'USD';
+  }
+
+  // Estimates are computed as annual USD, then converted to options.currency
+  // (default: the location's local currency) and options.period (default: YEAR)
+  async getEnhancedSalaryEstimate(jobTitle, location, experienceLevel = null, options = {}) {
+    const titleMatch = this.matchJobCategory(jobTitle);
+    const category = titleMatch.category;
+    const seniority = experienceLevel || this.detectSeniority(jobTitle);
+
+    // No estimate rather than another occupation's pay
+    if (!category) {
+      return {
+        query: {
+          jobTitle,
+          location,
+          experienceLevel: seniority,
+          normalizedJobCategory: null,
+          matchConfidence: titleMatch.matchConfidence,
+          alternatives: titleMatch.alternatives
+        },
+        unknownOccupation: true,
+        salary: null
+      };
+    }
+
+    const locationMatch = this.resolveLocationMultiplier(location);
+    const locationMultiplier = locationMatch.multiplier;
+
+    // Observed posted salaries win over the reference table once there are enough
+    const observed = await this.getLinkedInSalaryData(jobTitle, location, seniority);
+    const stats = observed.stats;
+
+    // Base pay quantile function (annual USD): empirical for observed salaries,
+    // otherwise the dataset band for this category and seniority, adjusted for location
+    let baseQuantile;
+    if (stats) {
+      baseQuantile = p => percentile(stats.values, p);
+    } else {
+      const baseRange = this.salaryData.titleMultipliers[category][seniority];
+      baseQuantile = p => this.bandQuantile({
+        min: baseRange.min * locationMultiplier,
+        median: baseRange.median * locationMultiplier,
+        max: baseRange.max * locationMultiplier
+      }, p);
+    }
+
+    const adjustedMin = baseQuantile(10);
+    const adjustedMax = baseQuantile(90);
+    const adjustedMedian = baseQuantile(50);
+    
+    // Calculate additional pay (bonus + equity)
+    const additionalPercentages = this.salaryData.additionalPayPercentages[category] || 
+                                  { bonus: 0.05, equity: 0.02 };
+    
+    const bonusPercent = additionalPercentages.bonus;
+    const equityPercent = additionalPercentages.equity;
+    const totalAdditionalPercent = bonusPercent + equityPercent;
+    
+    // Calculate additional pay ranges
+    const additionalMin = adjustedMin * totalAdditionalPercent;
+    const additionalMax = adjustedMax * totalAdditionalPercent;
+    const additionalMedian = adjustedMedian * totalAdditionalPercent;
+    
+    // Calculate total compensation
+    const totalMin = adjustedMin + additionalMin;
+    const totalMax = adjustedMax + additionalMax;
+    const totalMedian = adjustedMedian + additionalMedian;
+    
+    // Calculate base salary only (for comparison)
+    const baseOnlyMin = adjustedMin;
+    const baseOnlyMax = adjustedMax;
+    const baseOnlyMedian = adjustedMedian;
+
+    const currency = options.currency && currencyConverter.hasCurrency(options.currency)
+      ? options.currency.toUpperCase()
+      : this.detectLocalCurrency(location);
+    const period = config.ESTIMATE_PERIODS.includes(options.period) ? options.period : 'YEAR';
+    const exchangeRate = currencyConverter.convert(1, 'USD', currency);
+    const convert = (amount) => {
+      return roundForPeriod(amount * exchangeRate / periodsPerYear(period), period);
+    };
+
+    // Additional pay is modeled as a fixed share of base, so every component's
+    // percentiles are the base percentiles scaled, and stay ordered
+    const payAt = (p) => ({
+      base: convert(baseQuantile(p)),
+      additional: convert(baseQuantile(p) * totalAdditionalPercent),
+      total: convert(baseQuantile(p) * (1 + totalAdditionalPercent))
+    });
+    const percentilesOf = component => Object.fromEntries(
+      REPORTED_PERCENTILES.map(p => [`p${p}`, payAt(p)[component]])
+    );
+    
+    return {
+      query: {
+        jobTitle,
+        location,
+        experienceLevel: seniority,
+        normalizedJobCategory: category,
+        matchConfidence: titleMatch.matchConfidence,
+        alternatives: titleMatch.alternatives,
+        resolvedLocation: locationMatch.resolvedLocation,
+        locationMatchLevel: locationMatch.matchLevel,
+        defaultLocationUsed: locationMatch.defaultUsed,
+        locationMultiplierApplied: stats ? null : locationMultiplier.toFixed(2)
+      },
+      salary: {
+        total: {
+          min: convert(totalMin),
+          max: convert(totalMax),
+          median: convert(totalMedian),
+          average: convert((totalMin + totalMax) / 2),
+          percentiles: percentilesOf('total')
+        },
+        base: {
+          min: convert(baseOnlyMin),
+          max: convert(baseOnlyMax),
+          median: convert(baseOnlyMedian),
+          average: convert((baseOnlyMin + baseOnlyMax) / 2),
+          percentiles: percentilesOf('base')
+        },
+        additional: {
+          min: convert(additionalMin),
+          max: convert(additionalMax),
+          median: convert(additionalMedian),
+          average: convert((additionalMin + additionalMax) / 2),
+          percentiles: percentilesOf('additional'),
+          breakdown: {
+            bonus: {
+              percentage: Math.round(bonusPercent * 100),
+              estimatedMin: convert(adjustedMin * bonusPercent),
+              estimatedMax: convert(adjustedMax * bonusPercent)
+            },
+            equity: {
+              percentage: Math.round(equityPercent * 100),
+              estimatedMin: convert(adjustedMin * equityPercent),
+              estimatedMax: convert(adjustedMax * equityPercent)
+            }
+          }
+        },
+        requestedPercentile: options.percentile
+          ? { percentile: options.percentile, ...payAt(options.percentile) }
+          : null,
+        period,
+        currency,
+        annualWorkHours: period === 'HOUR' ? periodsPerYear('HOUR') : null,
+        exchangeRate: {
+          from: 'USD',
+          to: currency,
+          rate: exchangeRate,
+          ratesVersion: currencyConverter.version
+        }
+      },
+      dataQuality: this.buildDataQuality(category, seniority, observed, locationMatch),
+      insights: {
+        locationFactor: stats ? null : locationMultiplier.toFixed(2),
+        typicalAdditionalPayPercentage: Math.round(totalAdditionalPercent * 100),
+        commonJobTitles: this.getCommonTitles(category),
+        salaryPercentiles: percentilesOf('total'),
+        marketTrend: stats
+          ? `Based on ${stats.sampleSize} posted salaries from ${stats.dateRange.from} to ${stats.dateRange.to}`
+          : null
+      }
+    };
+  }
+
+  // Estimates every location x level combination in one currency and period and
+  // compares each cell's median total pay with the baseline cell
+  async compareSalaries(jobTitle, locations, levels, baseline, options = {}) {
+    const currency = options.currency || 'USD';
+    const cells = await Promise.all(locations.flatMap(location => levels.map(async (level) => {
+      const estimate = await this.getEnhancedSalaryEstimate(jobTitle, location, level, { ...options, currency });
+      return {
+        location,
+        level,
+        locationMultiplier: estimate.query.locationMultiplierApplied !== null
+          ? Number(estimate.query.locationMultiplierApplied)
+          : this.detectLocationMultiplier(location),
+        locationMatchLevel: estimate.query.locationMatchLevel,
+        base: estimate.salary.base.median,
+        total: estimate.salary.total.median,
+        totalPercentiles: estimate.salary.total.percentiles,
+        confidence: estimate.dataQuality.confidence,
+        source: estimate.dataQuality.source
+      };
+    })));
+
+    const baselineCell = cells.find(cell => cell.location === baseline.location && cell.level === baseline.level);
+    const rows = locations.map(location => ({
+      location,
+      levels: Object.fromEntries(cells
+        .filter(cell => cell.location === location)
+        .map(({ location: _, level, ...cell }) => [level, {
+          ...cell,
+          percentDifference: Math.round((cell.total - baselineCell.total) / baselineCell.total * 1000) / 10
+        }]))
+    }));
+
+    return {
+      query: {
+        jobTitle,
+        normalizedJobCategory: this.detectJobCategory(jobTitle),
+        locations,
+        levels,
+        baseline,
+        currency,
+        period: options.period || 'YEAR'
+      },
+      comparedOn: 'Median total pay',
+      rows
+    };
+  }
+
+  // Quantile of a pay band modeled as a split lognormal: the median is p50 and
+  // min/max are p10/p90, with separate spreads below and above the median
+  bandQuantile(band, p) {
+    const z = inverseNormalCdf(p / 100);
+    const z90 = inverseNormalCdf(0.9);
+    const sigma = z < 0
+      ? Math.log(band.median / band.min) / z90
+      : Math.log(band.max / band.median) / z90;
+    return band.median * Math.exp(z * sigma);
+  }
+
+  buildDataQuality(category, seniority, observed, locationMatch) {
+    const disclaimer = "This is an estimate. Actual compensation varies by company, experience, skills, and negotiation.";
+    const stats = observed.stats;
+
+    if (stats) {
+      const strong = stats.sampleSize >= config.SALARY_MIN_SAMPLE_SIZE * 3;
+      return {
+        source: "Posted salaries from LinkedIn job postings",
+        confidence: strong ? "HIGH" : "MEDIUM",
+        confidenceReason: `${stats.sampleSize} posted salaries for ${category} (${seniority}) in ${stats.scopeName}`,
+        methodology: "Percentiles of posted salary range midpoints, annualized and converted at reference FX rates. Additional pay uses the reference table's percentages",
+        sampleSize: stats.sampleSize,
+        sampleScope: stats.scope,
+        dateRange: stats.dateRange,
+        datasetVersion: this.salaryData.version,
+        lastUpdated: stats.dateRange.to,
+        disclaimer
+      };
+    }
+
+    // Table estimates are only as specific as the location multiplier behind them
+    const tableConfidence = {
+      city: { confidence: "MEDIUM", reason: "city-level location multiplier" },
+      country: { confidence: "LOW", reason: "country-level location multiplier" },
+      area: { confidence: "LOW", reason: "area-wide location multiplier" },
+      default: { confidence: "VERY_LOW", reason: "location not recognized, default multiplier used" }
+    }[locationMatch.matchLevel];
+    const observedNote = observed.available > 0
+      ? `only ${observed.available} posted salaries observed for this role and location (${config.SALARY_MIN_SAMPLE_SIZE} needed)`
+      : "no posted salaries observed for this role and location yet";
+
+    return {
+      source: "Reference salary table",
+      confidence: tableConfidence.confidence,
+      confidenceReason: `Reference table with a ${tableConfidence.reason}; ${observedNote}`,
+      methodology: "US baseline pay bands for the role and seniority, adjusted by a location multiplier",
+      sampleSize: 0,
+      observationsAvailable: observed.available,
+      datasetVersion: this.salaryData.version,
+      lastUpdated: this.salaryData.version,
+      disclaimer
+    };
+  }
+
+  getCommonTitles(category) {
+    const titles = this.salaryData.commonTitles || {};
+    
+    return titles[category] || [category.split(' ').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ')];
+  }
+}
+
+class CompanyEnricher {
+  constructor() {
+    this.userAgents = [];
+    for (let i = 0; i < 10; i++) {
+      this.userAgents.push(new UserAgent({ deviceCategory: 'desktop' }).toString());
+    }
+  }
+
+  getRandomUserAgent() {
+    return this.userAgents[Math.floor(Math.random() * this.userAgents.length)];
+  }
+
+  getHeaders() {
+    return {
+      'User-Agent': this.getRandomUserAgent(),
+      'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
+      'Accept-Language': 'en-US,en;q=0.5',
+      'Accept-Encoding': 'gzip, deflate, br',
+      'Connection': 'keep-alive',
+      'Upgrade-Insecure-Requests': '1',
+      'Sec-Fetch-Dest': 'document',
+      'Sec-Fetch-Mode': 'navigate',
+      'Sec-Fetch-Site': 'none',
+      'Sec-Fetch-User': '?1',
+      'Cache-Control': 'max-age=0',
+    };
+  }
+
+  async fetchCompanyProfile(companyUrl) {
+    if (!companyUrl || !companyUrl.includes('/company/')) {
+      return null;
+    }
+
+    const cacheKey = `company:${companyUrl}`;
+    const cached = cache.get(cacheKey);
+    if (cached) {
+      return cached;
+    }
+
+    try {
+      let fullUrl = companyUrl;
+      if (!companyUrl.startsWith('http')) {
+        fullUrl = `${config.LINKEDIN_BASE_URL}${companyUrl}`;
+      }
+
+      const response = await axios.get(fullUrl, {
+        headers: this.getHeaders(),
+        timeout: config.REQUEST_TIMEOUT,
+      });
+
+      const $ = cheerio.load(response.data);
+      
+      const companyInfo = {
+        about: this.extractCompanyAbout($),
+        employeeCount: this.extractEmployeeCount($),
+        headquarters: this.extractHeadquarters($),
+        website: this.extractWebsite($),
+        industry: this.extractIndustry($),
+        founded: this.extractFoundedYear($),
+        specialties: this.extractSpecialties($),
+        followers: this.extractFollowers($), // FIXED: Now correctly extracts from top card
+        linkedinUrl: fullUrl,
+      };
+
+      if (companyInfo.about || companyInfo.employeeCount) {
+        cache.set(cacheKey, companyInfo);
+      }
+
+      return companyInfo;
+
+    } catch (error) {
+      console.error('Error fetching company profile:', error.message);
+      return null;
+    }
+  }
+
+  extractCompanyAbout($) {
+    const aboutSection = $('section[data-test-id="about-us"]');
+    if (aboutSection.length) {
+      const text = aboutSection.find('p, div.core-section-container__content').text().trim();
+      return text || null;
+    }
+    
+    const selectors = [
+      '.about-us__description',
+      '.org-about-module__description',
+      '.company-about',
+      '[data-test-id="about-us"] p'
+    ];
+    
+    for (const selector of selectors) {
+      const element = $(selector);
+      if (element.length) {
+        const text = element.text().trim();
+        if (text) return text;
+      }
+    }
+    
+    return null;
+  }
+
+  extractEmployeeCount($) {
+    const selectors = [
+      'dt:contains("Company size") + dd',
+      'dt:contains("Employees") + dd',
+      '.org-page-details__employees',
+      '[data-test-id="about-us__size"]'
+    ];
+    
+    for (const selector of selectors) {
+      const element = $(selector);
+      if (element.length) {
+        const text = element.text().trim();
+        if (text) return this.cleanEmployeeCount(text);
+      }
+    }
+    
+    return null;
+  }
+
+  cleanEmployeeCount(text) {
+    const match = text.match(/(\d+(?:,\d+)*(?:\.\d+)?)/);
+    if (match) {
+      return match[0].replace(/,/g, '');
+    }
+    return text;
+  }
+
+  extractHeadquarters($) {
+    const locationElement = $('dt:contains("Headquarters") + dd');
+    return locationElement.length ? locationElement.text().trim() : null;
+  }
+
+  extractWebsite($) {
+    const websiteElement = $('dt:contains("Website") + dd a');
+    return websiteElement.length ? websiteElement.attr('href') : null;
+  }
+
+  extractIndustry($) {
+    const industryElement = $('dt:contains("Industry") + dd');
+    return industryElement.length ? industryElement.text().trim() : null;
+  }
+
+  extractFoundedYear($) {
+    const foundedElement = $('dt:contains("Founded") + dd');
+    return foundedElement.length ? foundedElement.text().trim() : null;
+  }
+
+  extractSpecialties($) {
+    const specialtiesElement = $('dt:contains("Specialties") + dd');
+    if (specialtiesElement.length) {
+      return specialtiesElement.text().trim().split(',').map(s => s.trim()).filter(Boolean);
+    }
+    return null;
+  }
+
+  // FIXED: Extracts followers from the top card area (where your screenshot shows)
+  extractFollowers($) {
+    // Look in the top card area where location and followers appear together
+    const topCardSelectors = [
+      '.org-top-card-summary__info',
+      '.org-top-card__primary-content',
+      '.org-top-card-summary__details',
+      '.org-top-card__content',
+      '.top-card-layout__first-subline'
+    ];
+    
+    for (const selector of topCardSelectors) {
+      const topCardElement = $(selector);
+      if (topCardElement.length) {
+        const text = topCardElement.text().trim();
+        // Pattern: location · X followers (like in your screenshot)
+        const followerMatch = text.match(/·\s*([\d,]+(?:\.\d+)?[KMB]?)\s*followers?/i);
+        if (followerMatch) {
+          return followerMatch[1];
+        }
+      }
+    }
+    
+    // Alternative: Look for any element containing "followers" in the top section
+    const anyFollowerElement = $('.org-top-card-module__details, .org-top-card__details, .org-top-card__summary-info')
+      .find('*:contains("followers")').first();
+    
+    if (anyFollowerElement.length) {
+      const text = anyFollowerElement.text().trim();
+      const match = text.match(/([\d,]+(?:\.\d+)?[KMB]?)\s*followers?/i);
+      return match ? match[1] : null;
+    }
+    
+    // Last resort: Look for the pattern "· X followers" anywhere in the page
+    const bodyText = $('body').text();
+    const globalMatch = bodyText.match(/·\s*([\d,]+(?:\.\d+)?[KMB]?)\s*followers/i);
+    if (globalMatch) {
+      return globalMatch[1];
+    }
+    
+    return null;
+  }
+}
+
+class LinkedInScraper {
+  constructor() {
+    this.userAgents = [];
+    this.companyEnricher = new CompanyEnricher();
+    this.salaryEstimator = new SalaryEstimator();
+    this.skillExtractor = new SkillExtractor();
+    for (let i = 0; i < 10; i++) {
+      this.userAgents.push(new UserAgent({ deviceCategory: 'desktop' }).toString());
+    }
+  }
+
+  getRandomUserAgent() {
+    return this.userAgents[Math.floor(Math.random() * this.userAgents.length)];
+  }
+
+  getHeaders() {
+    return {
+      'User-Agent': this.getRandomUserAgent(),
+      'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
+      'Accept-Language': 'en-US,en;q=0.5',
+      'Accept-Encoding': 'gzip, deflate, br',
+      'Connection': 'keep-alive',
+      'Upgrade-Insecure-Requests': '1',
+      'Sec-Fetch-Dest': 'document',
+      'Sec-Fetch-Mode': 'navigate',
+      'Sec-Fetch-Site': 'none',
+      'Sec-Fetch-User': '?1',
+      'Cache-Control': 'max-age=0',
+    };
+  }
+
+  async fetchWithRetry(url, retries = config.MAX_RETRIES) {
+    for (let i = 0; i < retries; i++) {
+      try {
+        const response = await axios.get(url, {
+          headers: this.getHeaders(),
+          timeout: config.REQUEST_TIMEOUT,
+        });
+        return response;
+      } catch (error) {
+        // A missing posting stays missing - don't burn retries on it
+        const status = error.response && error.response.status;
+        if (i === retries - 1 || status === 404 || status === 410) throw error;
+        await new Promise(resolve => setTimeout(resolve, 1000 * (i + 1)));
+      }
+    }
+  }
+
+  // FIXED: Extract numeric ID - prioritize LinkedIn URL ID first
+  extractNumericId(input, jobLink = null) {
+    if (!input) return null;
+    
+    const str = String(input);
+    
+    // PRIORITY 1: Extract from LinkedIn job URL (most reliable)
     if (jobLink) {
       // Pattern: /jobs/view/.*-(\d+)
       const urlMatch = jobLink.match(/jobs\/view\/[^\/]*-(\d+)/);
@@ -1197,132 +1639,824 @@ class LinkedInScraper {
         return urlMatch[1]; // Returns the 10-digit LinkedIn job ID
       }
       
-      // Alternative pattern: /jobs/view/(\d+)
-      const directUrlMatch = jobLink.match(/jobs\/view\/(\d+)/);
-      if (directUrlMatch && directUrlMatch[1]) {
-        return directUrlMatch[1];
+      // Alternative pattern: /jobs/view/(\d+)
+      const directUrlMatch = jobLink.match(/jobs\/view\/(\d+)/);
+      if (directUrlMatch && directUrlMatch[1]) {
+        return directUrlMatch[1];
+      }
+    }
+    
+    // PRIORITY 2: Extract from the input string if it contains a LinkedIn URL
+    const urlPatterns = [
+      /jobs\/view\/[^\/]*-(\d+)/,
+      /jobs\/view\/(\d+)/,
+      /jobId=(\d+)/,
+      /\/(\d+)(?:\?|$)/, // Digits at end of URL before query params
+    ];
+    
+    for (const pattern of urlPatterns) {
+      const match = str.match(pattern);
+      if (match && match[1]) {
+        return match[1];
+      }
+    }
+    
+    // PRIORITY 3: Already a pure numeric ID
+    if (/^\d{5,}$/.test(str)) {
+      return str; // Only return if it's a decent length number (5+ digits)
+    }
+    
+    // PRIORITY 4: Extract the LAST numeric sequence from alphanumeric
+    // This avoids picking up "1" from "Software Engineer 1"
+    const allNumbers = str.match(/\d+/g);
+    if (allNumbers && allNumbers.length > 0) {
+      // Take the last (usually largest) number, not the first
+      const lastNumber = allNumbers[allNumbers.length - 1];
+      if (lastNumber.length >= 5) {
+        return lastNumber; // Only if it looks like a real ID (5+ digits)
+      }
+    }
+    
+    // PRIORITY 5: Generate a consistent fallback numeric ID from hash
+    // Convert UUID or string to numeric hash (first 10 digits)
+    const fallbackId = Math.abs(this.stringToHash(str)).toString().substring(0, 10);
+    return fallbackId;
+  }
+  
+  // Strict variant of extractNumericId for user input: accepts a numeric job ID or a
+  // LinkedIn job URL and returns null instead of falling back to a hash
+  parseJobIdentifier(input) {
+    if (typeof input === 'number' && Number.isInteger(input)) {
+      input = String(input);
+    }
+    if (typeof input !== 'string') return null;
+
+    const str = input.trim();
+    if (/^\d{5,}$/.test(str)) {
+      return str;
+    }
+
+    if (/linkedin\.com/i.test(str)) {
+      const patterns = [
+        /jobs\/view\/[^\/?]*-(\d{5,})/,
+        /jobs\/view\/(\d{5,})/,
+        /currentJobId=(\d{5,})/,
+        /jobId=(\d{5,})/,
+      ];
+      for (const pattern of patterns) {
+        const match = str.match(pattern);
+        if (match) return match[1];
+      }
+    }
+
+    return null;
+  }
+  
+  // Helper to generate consistent numeric hash from string
+  stringToHash(str) {
+    let hash = 0;
+    for (let i = 0; i < str.length; i++) {
+      const char = str.charCodeAt(i);
+      hash = ((hash << 5) - hash) + char;
+      hash = hash & hash; // Convert to 32bit integer
+    }
+    return Math.abs(hash);
+  }
+
+  cleanText(text) {
+    if (!text || typeof text !== 'string') return null;
+    const cleaned = text.trim().replace(/\s+/g, ' ');
+    return cleaned || null;
+  }
+
+  htmlToPlainText(html) {
+    if (!html) return null;
+    
+    try {
+      const $ = cheerio.load(html);
+      
+      // Remove unwanted elements
+      $('script, style, noscript, iframe, embed, object, header, footer, nav').remove();
+      
+      // Get text content
+      let text = $.text();
+      
+      // Clean up the text
+      text = text
+        .replace(/\s+/g, ' ')
+        .replace(/\n+/g, '\n')
+        .replace(/\t+/g, ' ')
+        .replace(/[ \t]+/g, ' ')
+        .trim();
+      
+      // Remove excessive line breaks and normalize
+      text = text
+        .split('\n')
+        .map(line => line.trim())
+        .filter(line => line.length > 0)
+        .join('\n\n');
+      
+      // Remove common LinkedIn-specific clutter
+      const clutterPatterns = [
+        /See who you know at.*$/m,
+        /Promoted|Sponsored/g,
+        /^[•\-*]\s*/gm,
+        /\s*…\s*See more\s*/g,
+      ];
+      
+      clutterPatterns.forEach(pattern => {
+        text = text.replace(pattern, '');
+      });
+      
+      // Clean up any remaining artifacts
+      text = text
+        .replace(/\n{3,}/g, '\n\n')
+        .replace(/^\s+|\s+$/g, '')
+        .replace(/(\n\s*){2,}/g, '\n\n');
+      
+      return text || null;
+    } catch (error) {
+      console.error('Error converting HTML to text:', error);
+      return null;
+    }
+  }
+
+  // Normalizes LinkedIn posting dates ("2024-05-01", "3 days ago", "Reposted 2 weeks ago")
+  // into an ISO timestamp. Relative phrases are resolved against referenceDate, which
+  // should be the fetch time. postedAt is truncated to the precision of the source.
+  parsePostedDate(text, datetime = null, referenceDate = new Date()) {
+    const result = { postedAt: null, postedAtPrecision: null, reposted: false };
+    const cleaned = this.cleanText(text) || '';
+    result.reposted = /\breposted\b/i.test(cleaned);
+
+    const truncate = (date, precision) => {
+      const truncated = new Date(date.getTime());
+      if (precision === 'minute') {
+        truncated.setUTCSeconds(0, 0);
+      } else if (precision === 'hour') {
+        truncated.setUTCMinutes(0, 0, 0);
+      } else {
+        truncated.setUTCHours(0, 0, 0, 0);
+      }
+      return truncated;
+    };
+
+    let relative = null;
+    const relativeMatch = cleaned.match(/(\d+|an?|one)\+?\s+(second|minute|hour|day|week|month|year)s?\s+ago/i);
+    if (relativeMatch) {
+      const amount = /^\d+$/.test(relativeMatch[1]) ? parseInt(relativeMatch[1]) : 1;
+      const unit = relativeMatch[2].toLowerCase();
+      const date = new Date(referenceDate.getTime());
+      // Months back, clamped to the target month's last day: "1 month ago" on
+      // March 31 is February 28/29, not March 3
+      const subtractMonths = (months) => {
+        const day = date.getUTCDate();
+        date.setUTCDate(1);
+        date.setUTCMonth(date.getUTCMonth() - months);
+        const lastDay = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+        date.setUTCDate(Math.min(day, lastDay));
+      };
+
+      switch (unit) {
+        case 'second': break;
+        case 'minute': date.setUTCMinutes(date.getUTCMinutes() - amount); break;
+        case 'hour': date.setUTCHours(date.getUTCHours() - amount); break;
+        case 'day': date.setUTCDate(date.getUTCDate() - amount); break;
+        case 'week': date.setUTCDate(date.getUTCDate() - amount * 7); break;
+        case 'month': subtractMonths(amount); break;
+        case 'year': subtractMonths(amount * 12); break;
+      }
+
+      const precision = unit === 'second' ? 'minute' : unit;
+      relative = { date: truncate(date, precision), precision };
+    } else if (/\b(just now|moments? ago)\b/i.test(cleaned)) {
+      relative = { date: truncate(referenceDate, 'minute'), precision: 'minute' };
+    } else if (/\btoday\b/i.test(cleaned)) {
+      relative = { date: truncate(referenceDate, 'day'), precision: 'day' };
+    } else if (/\byesterday\b/i.test(cleaned)) {
+      const date = new Date(referenceDate.getTime());
+      date.setUTCDate(date.getUTCDate() - 1);
+      relative = { date: truncate(date, 'day'), precision: 'day' };
+    }
+
+    // An explicit datetime attribute wins unless the relative text is finer grained
+    const absolute = datetime ? new Date(datetime) : null;
+    const hasAbsolute = absolute && !Number.isNaN(absolute.getTime());
+
+    if (relative && (!hasAbsolute || ['minute', 'hour'].includes(relative.precision))) {
+      result.postedAt = relative.date.toISOString();
+      result.postedAtPrecision = relative.precision;
+    } else if (hasAbsolute) {
+      const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(String(datetime).trim());
+      result.postedAt = absolute.toISOString();
+      result.postedAtPrecision = dateOnly ? 'day' : 'minute';
+    }
+
+    return result;
+  }
+
+  // Work mode from the most explicit signal available: the "(Hybrid)" style suffix
+  // LinkedIn puts on locations, then card/topcard text, then the description
+  detectWorkplaceType(locationText, cardText = null, descriptionText = null) {
+    const explicit = (locationText || '').match(/\((remote|hybrid|on-?site)\)/i);
+    if (explicit) {
+      return this.normalizeWorkplaceType(explicit[1]);
+    }
+
+    if (locationText && /^(remote|anywhere|worldwide|work from home)\b/i.test(locationText.trim())) {
+      return 'remote';
+    }
+
+    const cardMatch = (cardText || '').match(/\b(remote|hybrid|on-?site)\b/i);
+    if (cardMatch) {
+      return this.normalizeWorkplaceType(cardMatch[1]);
+    }
+
+    if (descriptionText) {
+      // Hybrid only as a work arrangement ("hybrid role", "hybrid (3 days in office)"), not
+      // "hybrid cloud". Hybrid roles usually mention remote days too, so it's checked first.
+      if (/\bhybrid[- ](?:role|position|job|schedule|work(?:ing)?|model|arrangement|set-?up|basis|opportunity)\b|\bhybrid\s*[(:–-]\s*\d|\b[1-4]\s*days?\s*(?:a|per)\s*week\s*(?:in|at)\s*(?:the\s*)?office\b/i.test(descriptionText)) return 'hybrid';
+      if (/\b(fully remote|100% remote|remote[- ]first|remote position|remote role|work from home|work from anywhere)\b/i.test(descriptionText)) return 'remote';
+      if (/\b(on-?site (?:role|position)|in[- ]office|office[- ]based)\b/i.test(descriptionText)) return 'on-site';
+    }
+
+    return null;
+  }
+
+  normalizeWorkplaceType(value) {
+    const lower = value.toLowerCase();
+    return lower === 'remote' || lower === 'hybrid' ? lower : 'on-site';
+  }
+
+  buildLocationDetails(locationText, cardText = null, descriptionText = null) {
+    if (!locationText) return null;
+
+    return {
+      ...locationResolver.resolve(locationText),
+      workplaceType: this.detectWorkplaceType(locationText, cardText, descriptionText)
+    };
+  }
+
+  // Removes utm_* and LinkedIn tracking parameters. Returns null for non-http(s) links.
+  stripTrackingParams(url, extraParams = []) {
+    if (!url) return null;
+
+    try {
+      const parsed = new URL(url, config.LINKEDIN_BASE_URL);
+      if (!['http:', 'https:', 'mailto:'].includes(parsed.protocol)) return null;
+
+      for (const key of [...parsed.searchParams.keys()]) {
+        if (key.toLowerCase().startsWith('utm_') || config.TRACKING_PARAMS.includes(key) || extraParams.includes(key)) {
+          parsed.searchParams.delete(key);
+        }
+      }
+      return parsed.toString();
+    } catch (error) {
+      return null;
+    }
+  }
+
+  htmlToMarkdown(html) {
+    if (!html) return null;
+
+    try {
+      const $ = cheerio.load(html, null, false);
+      $('script, style, noscript, iframe, embed, object').remove();
+
+      const inline = (text) => text.replace(/\s+/g, ' ');
+
+      const renderList = (list, depth) => {
+        const ordered = list.name.toLowerCase() === 'ol';
+        const lines = [];
+
+        $(list).children('li').each((index, item) => {
+          const content = item.children
+            .filter(child => !(child.type === 'tag' && ['ul', 'ol'].includes(child.name.toLowerCase())))
+            .map(child => render(child, depth))
+            .join('')
+            .replace(/\s*\n+\s*/g, ' ')
+            .trim();
+          const marker = ordered ? `${index + 1}.` : '-';
+          lines.push(`${'  '.repeat(depth)}${marker} ${content}`);
+
+          $(item).children('ul, ol').each((i, nested) => {
+            lines.push(renderList(nested, depth + 1));
+          });
+        });
+
+        return lines.join('\n');
+      };
+
+      const render = (node, depth = 0) => {
+        if (node.type === 'text') return inline(node.data);
+        if (node.type !== 'tag') return '';
+
+        const name = node.name.toLowerCase();
+        const children = () => node.children.map(child => render(child, depth)).join('');
+
+        if (name === 'br') return '\n';
+        if (/^h[1-6]$/.test(name)) {
+          return `\n\n${'#'.repeat(parseInt(name[1]))} ${children().trim()}\n\n`;
+        }
+        if (name === 'ul' || name === 'ol') {
+          return `\n\n${renderList(node, depth)}\n\n`;
+        }
+        if (['strong', 'b'].includes(name)) {
+          const text = children().trim();
+          return text ? `**${text}**` : '';
+        }
+        if (['em', 'i'].includes(name)) {
+          const text = children().trim();
+          return text ? `_${text}_` : '';
+        }
+        if (name === 'a') {
+          const text = children().trim();
+          const href = this.stripTrackingParams($(node).attr('href'));
+          return href && text ? `[${text}](${href})` : text;
+        }
+        if (['p', 'div', 'section', 'blockquote'].includes(name)) {
+          return `\n\n${children().trim()}\n\n`;
+        }
+        return children();
+      };
+
+      const markdown = $.root()[0].children
+        .map(child => render(child))
+        .join('')
+        .split('\n')
+        // Keep indentation only where it means list nesting
+        .map(line => /^\s*(?:-|\d+\.)\s/.test(line) ? line.replace(/\s+$/, '') : line.trim())
+        .join('\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+
+      return markdown || null;
+    } catch (error) {
+      console.error('Error converting HTML to markdown:', error);
+      return null;
+    }
+  }
+
+  // Allowlist-based sanitizer: disallowed tags are unwrapped (their text is kept),
+  // dangerous ones removed, and every attribute except a cleaned a[href] is dropped
+  sanitizeHtml(html) {
+    if (!html) return null;
+
+    const allowedTags = ['p', 'br', 'ul', 'ol', 'li', 'strong', 'b', 'em', 'i', 'u', 'a', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'blockquote', 'code', 'pre'];
+
+    try {
+      const $ = cheerio.load(html, null, false);
+      $('script, style, noscript, iframe, embed, object, form, input, button, img, svg').remove();
+
+      // Deepest elements first so unwrapping never detaches an element we still have to visit
+      $('*').toArray().reverse().forEach(element => {
+        const $element = $(element);
+        const name = element.name.toLowerCase();
+
+        if (!allowedTags.includes(name)) {
+          $element.replaceWith($element.contents());
+          return;
+        }
+
+        const href = name === 'a' ? this.stripTrackingParams($element.attr('href')) : null;
+        for (const attribute of Object.keys(element.attribs)) {
+          $element.removeAttr(attribute);
+        }
+        if (href) {
+          $element.attr('href', href);
+        }
+      });
+
+      const removeComments = (node) => {
+        for (const child of [...(node.children || [])]) {
+          if (child.type === 'comment') {
+            $(child).remove();
+          } else {
+            removeComments(child);
+          }
+        }
+      };
+      removeComments($.root()[0]);
+
+      const sanitized = $.html().replace(/\s+/g, ' ').trim();
+      return sanitized || null;
+    } catch (error) {
+      console.error('Error sanitizing HTML:', error);
+      return null;
+    }
+  }
+
+  // Job details are cached with the raw description markup; this renders the
+  // requested format on the way out so switching formats never refetches
+  renderJobDescription(jobDetails, descriptionFormat = 'text') {
+    const { descriptionMarkup, ...rendered } = jobDetails;
+
+    if (descriptionFormat === 'markdown') {
+      rendered.description = this.htmlToMarkdown(descriptionMarkup);
+    } else if (descriptionFormat === 'html') {
+      rendered.description = this.sanitizeHtml(descriptionMarkup);
+    }
+
+    rendered.descriptionFormat = descriptionFormat;
+    rendered.descriptionLength = rendered.description ? rendered.description.length : null;
+    return rendered;
+  }
+
+  // Splits the description markup into typed sections using headings and bold
+  // lines as boundaries. Bullet items are kept per section instead of flattened.
+  extractDescriptionSections(html) {
+    if (!html) return null;
+
+    try {
+      const $ = cheerio.load(html, null, false);
+      const blocks = [];
+      let line = { text: '', boldText: '' };
+
+      const flush = () => {
+        const text = this.cleanText(line.text);
+        if (text) {
+          const boldText = this.cleanText(line.boldText) || '';
+          const allBold = boldText.length > 0 && boldText.length >= text.replace(/:$/, '').length;
+          const labelLine = /:$/.test(text) && text.length <= 60;
+          const bullet = text.match(/^[•\-*·]\s*(.+)$/);
+
+          if ((allBold || labelLine) && text.length <= 80 && !bullet) {
+            blocks.push({ kind: 'heading', text: text.replace(/\s*:$/, '') });
+          } else if (bullet) {
+            blocks.push({ kind: 'item', text: bullet[1] });
+          } else {
+            blocks.push({ kind: 'text', text });
+          }
+        }
+        line = { text: '', boldText: '' };
+      };
+
+      const walk = (node, bold) => {
+        if (node.type === 'text') {
+          line.text += node.data;
+          if (bold) line.boldText += node.data;
+          return;
+        }
+        if (node.type !== 'tag') return;
+
+        const name = node.name.toLowerCase();
+        const children = node.children || [];
+
+        if (name === 'br') {
+          flush();
+        } else if (/^h[1-6]$/.test(name)) {
+          flush();
+          const text = this.cleanText($(node).text());
+          if (text) blocks.push({ kind: 'heading', text: text.replace(/\s*:$/, '') });
+        } else if (name === 'li') {
+          flush();
+          // The item's own text; nested lists become items of their own
+          const ownText = this.cleanText(
+            $(node).clone().children('ul, ol').remove().end().text()
+          );
+          if (ownText) blocks.push({ kind: 'item', text: ownText });
+          $(node).children('ul, ol').each((i, list) => walk(list, bold));
+        } else if (['p', 'div', 'ul', 'ol', 'section', 'blockquote'].includes(name)) {
+          flush();
+          children.forEach(child => walk(child, bold));
+          flush();
+        } else {
+          const isBold = bold || ['strong', 'b'].includes(name);
+          children.forEach(child => walk(child, isBold));
+        }
+      };
+
+      $.root()[0].children.forEach(child => walk(child, false));
+      flush();
+
+      const sections = [];
+      let current = null;
+
+      for (const block of blocks) {
+        if (block.kind === 'heading') {
+          current = { type: this.classifyDescriptionSection(block.text), title: block.text, items: [], text: [] };
+          sections.push(current);
+          continue;
+        }
+
+        if (!current) {
+          current = { type: 'intro', title: null, items: [], text: [] };
+          sections.push(current);
+        }
+
+        if (block.kind === 'item') {
+          current.items.push(block.text);
+        } else {
+          current.text.push(block.text);
+        }
+      }
+
+      const nonEmpty = sections
+        .filter(section => section.items.length > 0 || section.text.length > 0)
+        .map(section => ({
+          type: section.type,
+          title: section.title,
+          items: section.items,
+          text: section.text.length > 0 ? section.text.join('\n\n') : null
+        }));
+
+      return nonEmpty.length > 0 ? nonEmpty : null;
+    } catch (error) {
+      console.error('Error extracting description sections:', error);
+      return null;
+    }
+  }
+
+  classifyDescriptionSection(title) {
+    const patterns = [
+      // Checked before requirements so "Preferred Qualifications" isn't a requirement
+      ['preferred', /nice[- ]to[- ]have|preferred|bonus|desired|good to have|a plus|additional qualifications/i],
+      ['requirements', /requirement|qualification|what you('ll)? (need|bring)|who you are|about you|you have|your profile|must[- ]have|skills (and|&) experience|what we('re| are) looking for|experience required/i],
+      ['responsibilities', /responsibilit|what you('ll| will) (do|be doing)|your (role|impact|mission)|duties|day[- ]to[- ]day|key tasks|in this role|the job/i],
+      ['benefits', /benefit|perks|what we offer|we offer|compensation|why (join|work)|what('s| is) in it for you/i],
+      ['about', /about (the|this) (role|job|position|opportunity)|the role|role (overview|summary|description)|position (overview|summary)|job (summary|description|overview)|the opportunity|overview/i],
+      // Case-sensitive so "About Acme" counts but "about the role" was handled above
+      ['company', /[Aa]bout (us|the company|the team|[A-Z])|[Ww]ho we are|[Oo]ur (company|team|mission|story)/],
+    ];
+
+    for (const [type, pattern] of patterns) {
+      if (pattern.test(title)) return type;
+    }
+    return 'other';
+  }
+
+  // Pulls eligibility requirements out of the description. Every value carries the
+  // sentence it came from as `evidence` so it can be checked by a person.
+  extractRequirements(sections, descriptionText) {
+    const units = splitDescriptionUnits(sections, descriptionText);
+    if (units.length === 0) return null;
+
+    const isPreferred = unit => unit.sectionType === 'preferred' ||
+      /\b(nice[- ]to[- ]have|preferred|a plus|bonus|desirable|ideally)\b/i.test(unit.text);
+    const find = (pattern, filter = () => true) => units.find(unit => filter(unit) && pattern.test(unit.text)) || null;
+
+    return {
+      experience: this.extractExperienceRequirement(units, isPreferred),
+      education: this.extractEducationRequirement(units, isPreferred),
+      certifications: this.extractCertifications(units),
+      visaSponsorship: this.extractVisaSponsorship(find),
+      securityClearance: this.extractSecurityClearance(find),
+      relocation: this.extractRelocation(find),
+      travel: this.extractTravel(find)
+    };
+  }
+
+  extractExperienceRequirement(units, isPreferred) {
+    const numberWords = { one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10, twelve: 12, fifteen: 15 };
+    const number = '\\b(\\d{1,2}|' + Object.keys(numberWords).join('|') + ')';
+    const toNumber = value => numberWords[value.toLowerCase()] || parseInt(value);
+    const patterns = [
+      { regex: new RegExp(`${number}\\s*(?:-|–|to)\\s*${number}\\+?\\s*(?:years?|yrs?)`, 'i'), range: true },
+      { regex: new RegExp(`(?:at least|minimum(?: of)?|min\\.?|over|more than)\\s*${number}\\+?\\s*(?:years?|yrs?)`, 'i') },
+      { regex: new RegExp(`${number}\\s*\\+\\s*(?:years?|yrs?)`, 'i') },
+      { regex: new RegExp(`${number}\\s*(?:years?|yrs?)(?:'|’)?\\s+(?:of\\s+)?(?:[\\w/&-]+\\s+){0,4}?experience`, 'i') },
+    ];
+
+    // Required experience beats "ideally 8 years" style preferences
+    const ordered = [...units.filter(unit => !isPreferred(unit)), ...units.filter(isPreferred)];
+
+    for (const unit of ordered) {
+      if (!/experience|background|track record|working|professional|industry/i.test(unit.text) &&
+          unit.sectionType !== 'requirements') {
+        continue;
       }
+
+      for (const { regex, range } of patterns) {
+        const match = unit.text.match(regex);
+        if (!match) continue;
+
+        const minYears = toNumber(match[1]);
+        const maxYears = range ? toNumber(match[2]) : null;
+        if (minYears > 40 || (maxYears !== null && maxYears < minYears)) continue;
+
+        return {
+          minYears,
+          maxYears,
+          preferred: isPreferred(unit),
+          evidence: unit.text
+        };
+      }
+    }
+
+    return null;
+  }
+
+  extractEducationRequirement(units, isPreferred) {
+    const levels = [
+      ['high_school', /\b(high school|ged|secondary school)\b/i],
+      ['associate', /\bassociate'?s?\s+degree\b/i],
+      ['bachelor', /\b(bachelor'?s?|bsc|b\.sc|b\.s\.|b\.a\.|b[as](?=\/| in | degree)|undergraduate degree|(?:four|4)[- ]year degree)(?![a-z])/i],
+      ['master', /\b(master'?s?|msc|m\.sc|m\.s\.|mba|ms(?=\/| in | degree))(?![a-z])/i],
+      ['doctorate', /\b(ph\.?d|doctorate|doctoral)\b/i],
+    ];
+
+    let required = null;
+    let preferred = null;
+
+    for (const unit of units) {
+      levels.forEach(([level, pattern], rank) => {
+        if (!pattern.test(unit.text)) return;
+        const mention = { level, rank, unit };
+
+        // The lowest required level is the bar; the highest preferred one is the wish
+        if (isPreferred(unit)) {
+          if (!preferred || rank > preferred.rank) preferred = mention;
+        } else if (!required || rank < required.rank) {
+          required = mention;
+        }
+      });
+    }
+
+    if (!required && !preferred) return null;
+
+    const evidence = (required || preferred).unit.text;
+    return {
+      degreeLevel: required ? required.level : null,
+      preferredDegreeLevel: preferred ? preferred.level : null,
+      equivalentExperienceAccepted: /equivalent (practical |work |professional )?experience|or equivalent/i.test(evidence),
+      evidence
+    };
+  }
+
+  extractCertifications(units) {
+    const known = /\b(PMP|CAPM|CPA|CFA|CMA|ACCA|CISSP|CISM|CISA|CEH|OSCP|CCNA|CCNP|CCIE|CKA|CKAD|CKS|PRINCE2|ITIL|CSM|PSM|SAFe|SHRM-CP|SHRM-SCP|PHR|SPHR|CDL|CompTIA (?:A\+|Network\+|Security\+)|Security\+|Six Sigma (?:Green|Black) Belt)(?![\w+])/g;
+    const named = /\b((?:AWS|Azure|Google Cloud|GCP|Microsoft|Salesforce|Oracle|Cisco)\s+Certified(?:\s+[A-Z][\w-]*){0,4})/g;
+    const generic = /\b((?:[A-Z][\w+&/-]*\s+){1,4})(?:certification|certificate)\b/g;
+
+    const found = new Map();
+    for (const unit of units) {
+      for (const pattern of [named, known, generic]) {
+        for (const match of unit.text.matchAll(pattern)) {
+          const name = match[1].trim();
+          const key = name.toLowerCase();
+          // Skip fragments of a longer certification already found
+          if ([...found.keys()].some(existing => existing.includes(key))) continue;
+          found.set(key, { name, evidence: unit.text });
+        }
+      }
+    }
+
+    return [...found.values()];
+  }
+
+  extractVisaSponsorship(find) {
+    const notOffered = find(/\b(unable|not able|cannot|can't|can not|will not|won't|do not|does not|don't|doesn't|not)\s+(?:\w+\s+){0,3}?(sponsor|sponsorship)|sponsorship (?:is )?not (available|offered|provided)|without (?:the need for |requiring )?(?:\w+\s+)?sponsorship|no (?:visa )?sponsorship/i);
+    if (notOffered) {
+      return { offered: false, evidence: notOffered.text };
+    }
+
+    const offered = find(/\b(visa )?sponsorship (is )?(available|offered|provided|possible)|\b(will|can|able to|happy to) sponsor|\bwe sponsor|\boffer (visa )?sponsorship/i);
+    if (offered) {
+      return { offered: true, evidence: offered.text };
     }
-    
-    // PRIORITY 2: Extract from the input string if it contains a LinkedIn URL
-    const urlPatterns = [
-      /jobs\/view\/[^\/]*-(\d+)/,
-      /jobs\/view\/(\d+)/,
-      /jobId=(\d+)/,
-      /\/(\d+)(?:\?|$)/, // Digits at end of URL before query params
+
+    return null;
+  }
+
+  extractSecurityClearance(find) {
+    const notRequired = find(/\bno (security )?clearance (is )?required/i);
+    if (notRequired) {
+      return { required: false, level: null, evidence: notRequired.text };
+    }
+
+    const unit = find(/\b(security clearance|ts\/sci|top secret|secret clearance|active clearance|clearance required|dv clearance|sc clearance|public trust)\b/i);
+    if (!unit) return null;
+
+    const levels = [
+      ['TS/SCI', /ts\/sci/i],
+      ['Top Secret', /top secret/i],
+      ['DV', /\bdv\b/i],
+      ['SC', /\bsc clearance/i],
+      ['Secret', /\bsecret\b/i],
+      ['Public Trust', /public trust/i],
     ];
-    
-    for (const pattern of urlPatterns) {
-      const match = str.match(pattern);
-      if (match && match[1]) {
-        return match[1];
-      }
+    const level = levels.find(([, pattern]) => pattern.test(unit.text));
+
+    return { required: true, level: level ? level[0] : null, evidence: unit.text };
+  }
+
+  extractRelocation(find) {
+    const notOffered = find(/\b(no|not|without) relocation|relocation (assistance |support )?(is )?not (available|offered|provided)|unable to (offer|provide) relocation/i);
+    if (notOffered) {
+      return { offered: false, evidence: notOffered.text };
     }
-    
-    // PRIORITY 3: Already a pure numeric ID
-    if (/^\d{5,}$/.test(str)) {
-      return str; // Only return if it's a decent length number (5+ digits)
+
+    const offered = find(/\brelocation (assistance|support|package|bonus|allowance)|relocation (is )?(available|offered|provided)|\b(offer|provide)s? relocation/i);
+    if (offered) {
+      return { offered: true, evidence: offered.text };
     }
-    
-    // PRIORITY 4: Extract the LAST numeric sequence from alphanumeric
-    // This avoids picking up "1" from "Software Engineer 1"
-    const allNumbers = str.match(/\d+/g);
-    if (allNumbers && allNumbers.length > 0) {
-      // Take the last (usually largest) number, not the first
-      const lastNumber = allNumbers[allNumbers.length - 1];
-      if (lastNumber.length >= 5) {
-        return lastNumber; // Only if it looks like a real ID (5+ digits)
+
+    return null;
+  }
+
+  extractTravel(find) {
+    const noTravel = find(/\bno travel\b|\btravel (is )?not required/i);
+    if (noTravel) {
+      return { required: false, percentage: 0, evidence: noTravel.text };
+    }
+
+    const percentUnit = find(/travel[^.%]{0,30}?(\d{1,3})\s*%|(\d{1,3})\s*%[^.%]{0,20}?travel/i);
+    if (percentUnit) {
+      const match = percentUnit.text.match(/travel[^.%]{0,30}?(\d{1,3})\s*%|(\d{1,3})\s*%[^.%]{0,20}?travel/i);
+      const percentage = parseInt(match[1] || match[2]);
+      if (percentage <= 100) {
+        return { required: percentage > 0, percentage, evidence: percentUnit.text };
       }
     }
-    
-    // PRIORITY 5: Generate a consistent fallback numeric ID from hash
-    // Convert UUID or string to numeric hash (first 10 digits)
-    const fallbackId = Math.abs(this.stringToHash(str)).toString().substring(0, 10);
-    return fallbackId;
-  }
-  
-  // Helper to generate consistent numeric hash from string
-  stringToHash(str) {
-    let hash = 0;
-    for (let i = 0; i < str.length; i++) {
-      const char = str.charCodeAt(i);
-      hash = ((hash << 5) - hash) + char;
-      hash = hash & hash; // Convert to 32bit integer
+
+    const required = find(/\b(travel (is )?required|willing(ness)? to travel|(frequent|occasional|regular|some|domestic|international) travel)\b/i);
+    if (required) {
+      return { required: true, percentage: null, evidence: required.text };
     }
-    return Math.abs(hash);
+
+    return null;
   }
 
-  cleanText(text) {
-    if (!text || typeof text !== 'string') return null;
-    const cleaned = text.trim().replace(/\s+/g, ' ');
-    return cleaned || null;
+  // "Over 200 applicants" -> 200 atLeast, "Be among the first 25 applicants" -> 25 atMost,
+  // "47 applicants" -> 47 exact
+  parseApplicantCount(text) {
+    const cleaned = this.cleanText(text);
+    const match = cleaned && cleaned.match(/(\d[\d,.]*)\s*(\+)?\s*applicants?\b/i);
+    if (!match) return { applicantCount: null, applicantCountBound: null };
+
+    const applicantCount = parseInt(match[1].replace(/[,.]/g, ''), 10);
+    let applicantCountBound = 'exact';
+    if (match[2] || /\b(over|more than)\b/i.test(cleaned)) {
+      applicantCountBound = 'atLeast';
+    } else if (/\b(among the first|fewer than|less than|under)\b/i.test(cleaned)) {
+      applicantCountBound = 'atMost';
+    }
+
+    return { applicantCount, applicantCountBound };
   }
 
-  htmlToPlainText(html) {
-    if (!html) return null;
-    
-    try {
-      const $ = cheerio.load(html);
-      
-      // Remove unwanted elements
-      $('script, style, noscript, iframe, embed, object, header, footer, nav').remove();
-      
-      // Get text content
-      let text = $.text();
-      
-      // Clean up the text
-      text = text
-        .replace(/\s+/g, ' ')
-        .replace(/\n+/g, '\n')
-        .replace(/\t+/g, ' ')
-        .replace(/[ \t]+/g, ' ')
-        .trim();
-      
-      // Remove excessive line breaks and normalize
-      text = text
-        .split('\n')
-        .map(line => line.trim())
-        .filter(line => line.length > 0)
-        .join('\n\n');
-      
-      // Remove common LinkedIn-specific clutter
-      const clutterPatterns = [
-        /See who you know at.*$/m,
-        /Promoted|Sponsored/g,
-        /^[•\-*]\s*/gm,
-        /\s*…\s*See more\s*/g,
-      ];
-      
-      clutterPatterns.forEach(pattern => {
-        text = text.replace(pattern, '');
-      });
-      
-      // Clean up any remaining artifacts
-      text = text
-        .replace(/\n{3,}/g, '\n\n')
-        .replace(/^\s+|\s+$/g, '')
-        .replace(/(\n\s*){2,}/g, '\n\n');
-      
-      return text || null;
-    } catch (error) {
-      console.error('Error converting HTML to text:', error);
-      return null;
+  // Applicants per day since posting. The rate inherits the count's bound, so an
+  // "Over 200" count gives a minimum rate; postings under a day old count as one day.
+  // A maximum rate ("Be among the first 25") only proves "low", so any higher level
+  // is null: a fresh posting with few applicants isn't a crowded one.
+  buildCompetitionSignal(applicantCount, applicantCountBound, postedAt, referenceDate = new Date()) {
+    if (applicantCount === null || !postedAt) return null;
+
+    const ageDays = Math.max((referenceDate.getTime() - new Date(postedAt).getTime()) / 86400000, 1);
+    const applicantsPerDay = Math.round(applicantCount / ageDays * 10) / 10;
+    const { medium, high } = config.COMPETITION_THRESHOLDS;
+
+    let level = applicantsPerDay >= high ? 'high' : applicantsPerDay >= medium ? 'medium' : 'low';
+    if (applicantCountBound === 'atMost' && level !== 'low') {
+      level = null;
     }
+
+    return {
+      level,
+      applicantsPerDay,
+      bound: applicantCountBound,
+      postingAgeDays: Math.round(ageDays * 10) / 10
+    };
+  }
+
+  // Structured flags from search card insight lines ("Actively Hiring", "3 connections work here")
+  parseCardInsights(lines) {
+    const text = lines.join(' | ');
+    const count = (pattern) => {
+      const match = text.match(pattern);
+      return match ? parseInt(match[1].replace(/[,.]/g, ''), 10) : null;
+    };
+
+    return {
+      activelyRecruiting: /actively (recruiting|hiring)/i.test(text),
+      earlyApplicant: /early applicant/i.test(text),
+      connections: count(/(\d[\d,.]*)\s+connections?\b/i),
+      alumni: count(/(\d[\d,.]*)\s+(?:school |company )?alum(?:ni|nus|na)?\b/i),
+      ...this.parseApplicantCount(text)
+    };
   }
 
   parseJobElement($, element) {
     const $element = $(element);
     
-    const rawTitle = $element.find('.base-search-card__title').text();
-    const rawCompany = $element.find('.base-search-card__subtitle').text();
-    const rawLocation = $element.find('.job-search-card__location').text();
-    const rawDate = $element.find('time').attr('datetime') || $element.find('time').text();
+    // Job page modules (similar jobs, people also viewed) use base-main-card markup
+    const rawTitle = $element.find('.base-search-card__title, .base-main-card__title').first().text();
+    const rawCompany = $element.find('.base-search-card__subtitle, .base-main-card__subtitle').first().text();
+    const rawLocation = $element.find('.job-search-card__location, .main-job-card__location').first().text();
+    const rawDatetime = $element.find('time').attr('datetime');
+    const rawDateText = $element.find('time').text();
+    const rawDate = rawDatetime || rawDateText;
     const rawLink = $element.find('.base-card__full-link').attr('href');
-    const rawCompanyLink = $element.find('.base-search-card__subtitle a').attr('href');
+    const rawCompanyLink = $element.find('.base-search-card__subtitle a, .base-main-card__subtitle a').attr('href');
     const rawCompanyLogo = $element.find('.artdeco-entity-image').attr('data-delayed-url') || 
                           $element.find('.artdeco-entity-image').attr('src');
     const hasEasyApply = $element.find('.simple-job-card__link').length > 0;
     const rawInsights = $element.find('.job-search-card__insight').text();
+    const insightLines = $element.find('.job-search-card__insight, .job-posting-benefits__text, .job-search-card__benefits')
+      .map((i, el) => this.cleanText($(el).text()))
+      .get()
+      .filter(Boolean);
+    const rawCardText = $element.find('.base-search-card__metadata, .base-main-card__metadata').text();
     
     // Clean company link to remove tracking parameters
     let cleanedCompanyLink = this.cleanText(rawCompanyLink);
@@ -1339,180 +2473,624 @@ class LinkedInScraper {
     // Extract consistent numeric ID - PASS THE JOB LINK TO PRIORITIZE IT
     const rawId = $element.attr('data-id') || jobLink || uuidv4();
     const numericId = this.extractNumericId(rawId, jobLink); // Pass jobLink as second parameter
+    const posted = this.parsePostedDate(rawDateText, rawDatetime);
     
     return {
       id: numericId, // Always numeric ID
       title: this.cleanText(rawTitle),
       company: this.cleanText(rawCompany),
       location: this.cleanText(rawLocation),
+      locationDetails: this.buildLocationDetails(this.cleanText(rawLocation), this.cleanText(rawCardText)),
       date: this.cleanText(rawDate),
+      postedAt: posted.postedAt,
+      postedAtPrecision: posted.postedAtPrecision,
+      reposted: posted.reposted,
       link: jobLink,
       companyLink: cleanedCompanyLink,
       companyLogo: this.cleanText(rawCompanyLogo),
       easyApply: hasEasyApply || null,
       insights: this.cleanText(rawInsights),
+      insightFlags: this.parseCardInsights(insightLines),
     };
   }
 
-  async searchJobs(keywords, location = '', remote = false, enrichCompanies = false) {
-    // Always get 50 most relevant jobs (no pagination)
+  // Builds LinkedIn facet parameters from normalized filters (see parseSearchFilters).
+  // Values are emitted in a fixed order so the result doubles as a cache key.
+  buildSearchFacets(filters = {}) {
+    const facets = {};
+    const facetList = (values, mapping) => Object.keys(mapping)
+      .filter(value => values.includes(value))
+      .map(value => mapping[value])
+      .join(',');
+
+    if (filters.datePosted) {
+      facets.f_TPR = SEARCH_FACETS.datePosted[filters.datePosted];
+    }
+    if (filters.experienceLevel && filters.experienceLevel.length) {
+      facets.f_E = facetList(filters.experienceLevel, SEARCH_FACETS.experienceLevel);
+    }
+    if (filters.jobType && filters.jobType.length) {
+      facets.f_JT = facetList(filters.jobType, SEARCH_FACETS.jobType);
+    }
+    if (filters.workMode && filters.workMode.length) {
+      facets.f_WT = facetList(filters.workMode, SEARCH_FACETS.workMode);
+    }
+    if (filters.easyApply) {
+      facets.f_AL = 'true';
+    }
+    if (filters.companyIds && filters.companyIds.length) {
+      facets.f_C = [...filters.companyIds].sort().join(',');
+    }
+    if (filters.distance) {
+      facets.distance = filters.distance;
+    }
+    if (filters.sortBy) {
+      facets.sortBy = SEARCH_FACETS.sortBy[filters.sortBy];
+    }
+
+    return facets;
+  }
+
+  async fetchSearchPage(keywords, location, filters, start) {
+    const facets = this.buildSearchFacets(filters);
+    const pageCacheKey = `jobs-page:${keywords}:${location}:${new URLSearchParams(facets)}:${start}`;
+    const cached = cache.get(pageCacheKey);
+    if (cached) {
+      return cached;
+    }
+
     const params = new URLSearchParams({
       keywords: keywords,
       location: location,
-      start: 0, // Always get first 50 most relevant jobs
-      ...(remote && { f_WT: 2 })
+      start: start,
+      ...facets
+    });
+
+    // The first page comes from the full search page (it carries the total count),
+    // deeper pages from the guest "see more jobs" listing fragment
+    const baseUrl = start === 0 ? config.JOBS_SEARCH_URL : config.JOBS_GUEST_SEARCH_URL;
+    const url = `${baseUrl}?${params.toString()}`;
+
+    console.log('Fetching jobs page from LinkedIn:', url);
+    const response = await this.fetchWithRetry(url);
+    const $ = cheerio.load(response.data);
+
+    const cards = [];
+    let cardCount = 0;
+
+    $('.base-card').each((i, element) => {
+      if ($(element).hasClass('job-search-card')) {
+        const job = this.parseJobElement($, element);
+        if (job.title && job.company && job.id) {
+          cards.push({ offset: start + cardCount, job });
+        }
+        cardCount++;
+      }
+    });
+
+    const rawTotalResults = $('.results-context-header__job-count').text();
+    const totalResults = rawTotalResults ? parseInt(rawTotalResults.replace(/\D/g, '')) : null;
+
+    const page = {
+      start,
+      cardCount,
+      cards,
+      totalResults: Number.isNaN(totalResults) ? null : totalResults
+    };
+
+    cache.set(pageCacheKey, page);
+    return page;
+  }
+
+  async searchJobs(keywords, location = '', filters = {}, enrichCompanies = false, pagination = {}) {
+    const { start = 0, limit = config.DEFAULT_RESULTS, skip = 0 } = pagination;
+    const facetKey = new URLSearchParams(this.buildSearchFacets(filters)).toString();
+    const cacheKey = `jobs:${keywords}:${location}:${facetKey}:${enrichCompanies}:${start}:${skip}:${limit}`;
+
+    const cached = cache.get(cacheKey);
+    if (cached) {
+      cached.cacheHit = true;
+      return cached;
+    }
+
+    try {
+      let jobs = [];
+      const seenIds = new Set();
+      let totalResults = null;
+      let exhausted = false;
+      // Where the next request resumes: a listing page start plus the cards of that
+      // page already returned, so it reuses the cached page instead of fetching a
+      // new one that starts mid-page
+      let resume = { start, skip };
+
+      // Walk listing pages until we have enough unique jobs. Each page is cached
+      // on its own key, so following nextCursor never refetches earlier pages.
+      while (jobs.length < limit && resume.start < config.MAX_SEARCH_START &&
+             (totalResults === null || resume.start < totalResults)) {
+        let page;
+        try {
+          page = await this.fetchSearchPage(keywords, location, filters, resume.start);
+        } catch (error) {
+          // A failed deeper page shouldn't throw away what we already have;
+          // nextCursor points at the failed page so the caller can retry it
+          if (jobs.length === 0) throw error;
+          console.error('Error fetching jobs page:', error.message);
+          break;
+        }
+
+        if (totalResults === null) {
+          totalResults = page.totalResults;
+        }
+
+        if (page.cardCount === 0) {
+          exhausted = true;
+          break;
+        }
+
+        const pageEnd = page.start + page.cardCount;
+        const firstOffset = resume.start + resume.skip;
+        resume = { start: pageEnd, skip: 0 };
+
+        for (const { offset: cardOffset, job } of page.cards) {
+          if (cardOffset < firstOffset) continue;
+          // LinkedIn pages overlap, so the same posting can show up twice
+          if (seenIds.has(job.id)) continue;
+          seenIds.add(job.id);
+          jobs.push(job);
+
+          if (jobs.length === limit) {
+            if (cardOffset + 1 < pageEnd) {
+              resume = { start: page.start, skip: cardOffset + 1 - page.start };
+            }
+            break;
+          }
+        }
+      }
+
+      const hasMore = !exhausted && resume.start < config.MAX_SEARCH_START &&
+        (totalResults === null || resume.start < totalResults);
+
+      // Enrich companies if requested
+      if (enrichCompanies) {
+        jobs = await Promise.all(
+          jobs.map(async (job) => {
+            if (job.companyLink) {
+              const companyInfo = await this.companyEnricher.fetchCompanyProfile(job.companyLink);
+              if (companyInfo) {
+                job.companyDetails = companyInfo;
+              }
+            }
+            return job;
+          })
+        );
+      }
+
+      const result = {
+        success: true,
+        data: {
+          totalAvailableJobs: totalResults,
+          jobsReturned: jobs.length,
+          jobs: jobs,
+          pagination: {
+            start: start + skip,
+            limit,
+            page: Math.floor((start + skip) / limit) + 1,
+            nextCursor: hasMore ? encodeSearchCursor(resume.start, resume.skip) : null
+          }
+        },
+        searchParams: {
+          keywords,
+          location,
+          remote: Boolean(filters.workMode && filters.workMode.includes('remote')),
+          filters
+        }
+        // TIMESTAMP REMOVED
+      };
+
+      cache.set(cacheKey, result);
+      return result;
+
+    } catch (error) {
+      console.error('Error fetching jobs:', error.message);
+      throw new Error(`Failed to fetch jobs: ${error.message}`);
+    }
+  }
+
+  async searchJobsAcrossLocations(keywords, locations, filters = {}, enrichCompanies = false, pagination = {}) {
+    const outcomes = await mapWithConcurrency(locations, config.SEARCH_CONCURRENCY, async (location) => {
+      try {
+        const result = await this.searchJobs(keywords, location, filters, enrichCompanies, pagination);
+        return { location, result };
+      } catch (error) {
+        return { location, error };
+      }
     });
 
-    const url = `${config.JOBS_SEARCH_URL}?${params.toString()}`;
-    const cacheKey = `jobs:${keywords}:${location}:${remote}:${enrichCompanies}`;
+    // Merge by numeric ID, keeping the first occurrence and tagging every location it matched
+    const jobsById = new Map();
+    const perLocation = [];
+
+    for (const { location, result, error } of outcomes) {
+      if (error) {
+        perLocation.push({
+          location,
+          success: false,
+          error: error.message
+        });
+        continue;
+      }
+
+      for (const job of result.data.jobs) {
+        const existing = jobsById.get(job.id);
+        if (existing) {
+          existing.matchedLocations.push(location);
+        } else {
+          jobsById.set(job.id, { ...job, matchedLocations: [location] });
+        }
+      }
+
+      perLocation.push({
+        location,
+        success: true,
+        totalAvailableJobs: result.data.totalAvailableJobs,
+        jobsReturned: result.data.jobsReturned,
+        nextCursor: result.data.pagination.nextCursor
+      });
+    }
+
+    const jobs = [...jobsById.values()];
+    const failedLocations = perLocation.filter(entry => !entry.success).length;
+
+    return {
+      success: failedLocations < locations.length,
+      data: {
+        jobsReturned: jobs.length,
+        duplicatesRemoved: perLocation.reduce((sum, entry) => sum + (entry.jobsReturned || 0), 0) - jobs.length,
+        jobs,
+        locations: perLocation
+      },
+      searchParams: {
+        keywords,
+        locations,
+        remote: Boolean(filters.workMode && filters.workMode.includes('remote')),
+        filters
+      }
+    };
+  }
+
+  async fetchJobPage(numericJobId) {
+    const url = `https://www.linkedin.com/jobs/view/${numericJobId}`;
+    const response = await this.fetchWithRetry(url);
+
+    // follow-redirects records where we ended up; expired postings often redirect
+    const finalUrl = (response.request && response.request.res && response.request.res.responseUrl) || url;
+
+    return { $: cheerio.load(response.data), url, finalUrl };
+  }
+
+  // Posting status from the job page: open, closed (no longer accepting
+  // applications), expired (past validThrough) or removed (redirected away/empty)
+  detectJobStatus($, numericJobId, finalUrl, validThrough, hasTitle) {
+    if (finalUrl && !finalUrl.includes(numericJobId)) {
+      return { status: 'removed', statusReason: 'Redirected away from the job page' };
+    }
+    if (!hasTitle) {
+      return { status: 'removed', statusReason: 'Job page has no posting' };
+    }
+
+    const closedText = $('.closed-job, .closed-job__flavor--closed, .top-card-layout__entity-info').text();
+    if (/no longer accepting applications/i.test(closedText)) {
+      return { status: 'closed', statusReason: 'No longer accepting applications' };
+    }
+
+    if (validThrough && new Date(validThrough).getTime() < Date.now()) {
+      return { status: 'expired', statusReason: 'Past the posting\'s validThrough date' };
+    }
+
+    return { status: 'open', statusReason: null };
+  }
+
+  // Lightweight status check: one page fetch, no enrichment or salary estimation
+  async getJobStatus(jobId) {
+    // Strict parsing: a typo must not be reported as a removed posting
+    const numericJobId = this.parseJobIdentifier(jobId);
+    if (!numericJobId) {
+      throw new Error('Invalid Job ID. Expected a numeric LinkedIn job ID or a LinkedIn job URL.');
+    }
 
+    const cacheKey = `job-status:${numericJobId}`;
     const cached = cache.get(cacheKey);
     if (cached) {
       cached.cacheHit = true;
       return cached;
     }
 
+    let result;
     try {
-      console.log('Fetching 50 most relevant jobs from LinkedIn:', url);
-      const response = await this.fetchWithRetry(url);
-      const $ = cheerio.load(response.data);
-      
-      let jobs = [];
-      const jobElements = $('.base-card');
-      
-      jobElements.each((i, element) => {
-        if ($(element).hasClass('job-search-card')) {
-          const job = this.parseJobElement($, element);
-          if (job.title && job.company && job.id) {
-            jobs.push(job);
-          }
-        }
-      });
+      const { $, url, finalUrl } = await this.fetchJobPage(numericJobId);
+      const jsonLd = this.parseJobPostingJsonLd(this.extractJobPostingJsonLd($));
+      const title = (jsonLd && jsonLd.title) || this.cleanText($('.top-card-layout__title').text());
+      const validThrough = jsonLd ? jsonLd.validThrough : null;
+
+      result = {
+        id: numericJobId,
+        title,
+        ...this.detectJobStatus($, numericJobId, finalUrl, validThrough, Boolean(title)),
+        validThrough,
+        jobLink: url
+      };
+    } catch (error) {
+      const httpStatus = error.response && error.response.status;
+      if (httpStatus !== 404 && httpStatus !== 410) {
+        console.error('Error fetching job status:', error.message);
+        throw new Error(`Failed to fetch job status: ${error.message}`);
+      }
 
-      // Get exactly 50 jobs (or as many as available)
-      jobs = jobs.slice(0, config.DEFAULT_RESULTS);
+      result = {
+        id: numericJobId,
+        title: null,
+        status: 'removed',
+        statusReason: `LinkedIn returned HTTP ${httpStatus}`,
+        validThrough: null,
+        jobLink: `https://www.linkedin.com/jobs/view/${numericJobId}`
+      };
+    }
 
-      // Extract total results for information
-      const rawTotalResults = $('.results-context-header__job-count').text();
-      const totalResults = rawTotalResults ? parseInt(rawTotalResults.replace(/\D/g, '')) : null;
+    cache.set(cacheKey, result, config.STATUS_CACHE_TTL);
+    return result;
+  }
 
-      // Enrich companies if requested
-      if (enrichCompanies) {
-        jobs = await Promise.all(
-          jobs.map(async (job) => {
-            if (job.companyLink) {
-              const companyInfo = await this.companyEnricher.fetchCompanyProfile(job.companyLink);
-              if (companyInfo) {
-                job.companyDetails = companyInfo;
-              }
-            }
-            return job;
-          })
-        );
+  // Related postings from the job page's "Similar jobs" and "People also viewed"
+  // modules, in the search card shape. Deduplicated; the source job is excluded.
+  async getSimilarJobs(jobId) {
+    const numericJobId = this.parseJobIdentifier(jobId);
+    if (!numericJobId) {
+      throw new Error('Invalid Job ID. Expected a numeric LinkedIn job ID or a LinkedIn job URL.');
+    }
+
+    const cacheKey = `job-similar:${numericJobId}`;
+    const cached = cache.get(cacheKey);
+    if (cached) {
+      cached.cacheHit = true;
+      return cached;
+    }
+
+    try {
+      const { $ } = await this.fetchJobPage(numericJobId);
+      const modules = [
+        { name: 'similarJobs', selector: '.similar-jobs__list li' },
+        { name: 'peopleAlsoViewed', selector: '.people-also-viewed__list li' }
+      ];
+
+      const jobs = [];
+      const seenIds = new Set([numericJobId]);
+      for (const { name, selector } of modules) {
+        $(selector).each((i, element) => {
+          const job = this.parseJobElement($, element);
+          if (!job.title || seenIds.has(job.id)) return;
+          seenIds.add(job.id);
+          jobs.push({ ...job, module: name });
+        });
       }
 
       const result = {
-        success: true,
-        data: {
-          totalAvailableJobs: totalResults,
-          jobsReturned: jobs.length,
-          jobs: jobs
-        },
-        searchParams: {
-          keywords,
-          location,
-          remote
-        }
-        // TIMESTAMP REMOVED
+        sourceJobId: numericJobId,
+        totalJobs: jobs.length,
+        jobs
       };
 
       cache.set(cacheKey, result);
       return result;
-
     } catch (error) {
-      console.error('Error fetching jobs:', error.message);
-      throw new Error(`Failed to fetch jobs: ${error.message}`);
+      console.error('Error fetching similar jobs:', error.message);
+      throw new Error(`Failed to fetch similar jobs: ${error.message}`);
     }
   }
 
-  async getJobDetails(jobId, enrichCompany = false, estimateSalary = false) {
+  // Merges job page details into search cards. Goes through getJobDetails, so the
+  // per-job cache is shared with /api/job/:jobId. Failures are reported per job.
+  async attachJobDetails(jobs) {
+    return mapWithConcurrency(jobs, config.DETAILS_CONCURRENCY, async (job) => {
+      try {
+        const details = await this.getJobDetails(job.id);
+        if (!details.title) {
+          throw new Error('Job not found or no longer available');
+        }
+
+        return {
+          ...job,
+          description: details.description,
+          seniorityLevel: details.seniorityLevel,
+          employmentType: details.employmentType,
+          skills: details.skills,
+          salary: details.salary,
+          // The job page knows more about work mode than the card does
+          locationDetails: details.locationDetails || job.locationDetails
+        };
+      } catch (error) {
+        const { code, message } = classifyJobError(error);
+        return {
+          ...job,
+          detailsError: { code, message }
+        };
+      }
+    });
+  }
+
+  // Fetches details for many jobs at once. Returns one result per input, in input
+  // order, each carrying either `data` or a structured `error`.
+  async getJobDetailsBatch(inputs, enrichCompany = false, estimateSalary = false, concurrency = config.BATCH_CONCURRENCY) {
+    return mapWithConcurrency(inputs, concurrency, async (input) => {
+      const jobId = this.parseJobIdentifier(input);
+      if (!jobId) {
+        return {
+          input,
+          jobId: null,
+          success: false,
+          error: {
+            code: 'INVALID_ID',
+            message: 'Expected a numeric LinkedIn job ID or a LinkedIn job URL'
+          }
+        };
+      }
+
+      try {
+        const jobDetails = await this.getJobDetails(jobId, enrichCompany, estimateSalary);
+        if (!jobDetails.title) {
+          throw new Error('Job not found or no longer available');
+        }
+        delete jobDetails.cacheHit;
+
+        return { input, jobId, success: true, data: jobDetails };
+      } catch (error) {
+        const { code, message } = classifyJobError(error);
+        return { input, jobId, success: false, error: { code, message } };
+      }
+    });
+  }
+
+  async getJobDetails(jobId, enrichCompany = false, estimateSalary = false, descriptionFormat = 'text', salaryOptions = {}) {
     // Ensure jobId is numeric
     const numericJobId = this.extractNumericId(jobId);
     if (!numericJobId) {
       throw new Error('Invalid Job ID. Job ID must contain numeric values.');
     }
     
-    const cacheKey = `job:${numericJobId}:${enrichCompany}:${estimateSalary}`;
+    // Estimates depend on the requested currency and period; posted salaries don't
+    const estimateKey = estimateSalary
+      ? `:${salaryOptions.currency || 'local'}:${salaryOptions.period || 'YEAR'}:${salaryOptions.percentile || ''}`
+      : '';
+    const cacheKey = `job:${numericJobId}:${enrichCompany}:${estimateSalary}${estimateKey}`;
     const cached = cache.get(cacheKey);
     if (cached) {
-      cached.cacheHit = true;
-      return cached;
+      const rendered = this.renderJobDescription(cached, descriptionFormat);
+      rendered.cacheHit = true;
+      return rendered;
     }
 
     try {
-      const url = `https://www.linkedin.com/jobs/view/${numericJobId}`;
-      const response = await this.fetchWithRetry(url);
-      const $ = cheerio.load(response.data);
+      const { $, url, finalUrl } = await this.fetchJobPage(numericJobId);
 
       // Extract job details
       const rawTitle = $('.top-card-layout__title').text();
       const rawCompany = $('.topcard__org-name-link').text();
       const rawLocation = $('.topcard__flavor--bullet').first().text();
+      const rawTopCardText = $('.top-card-layout__entity-info, .topcard__flavor-row').text();
       const rawPostedDate = $('.posted-time-ago__text').text();
-      const rawApplicants = $('.num-applicants__caption').text();
+      const posted = this.parsePostedDate(rawPostedDate);
+      const rawApplicants = $('.num-applicants__caption').text() ||
+        $('.topcard__flavor--bullet').filter((i, el) => /applicant/i.test($(el).text())).first().text();
       const rawDescriptionHtml = $('.description__text').html() || $('.show-more-less-html__markup').html();
-      
-      // Convert HTML to clean plain text only
-      const descriptionText = this.htmlToPlainText(rawDescriptionHtml);
+      const rawCompanyLink = $('.topcard__org-name-link').attr('href');
+
+      const jsonLd = this.parseJobPostingJsonLd(this.extractJobPostingJsonLd($));
+      const htmlFields = {
+        title: this.cleanText(rawTitle),
+        company: this.cleanText(rawCompany),
+        companyLink: this.cleanText(rawCompanyLink),
+        location: this.cleanText(rawLocation),
+        postedAt: posted.postedAt ? { postedAt: posted.postedAt, postedAtPrecision: posted.postedAtPrecision } : null,
+        validThrough: null,
+        employmentType: this.extractDetail($, 'Employment type'),
+        // ENHANCED: Extract salary with flexible regex for all formats
+        salary: this.extractSalary($, locationResolver.resolve(this.cleanText(rawLocation)).countryCode),
+        description: this.htmlToPlainText(rawDescriptionHtml)
+      };
+      const { fields, fieldSources } = this.mergeJobFields(jsonLd, htmlFields);
+
+      // Markup for sections and description formats falls back to the JSON-LD copy
+      const rawDescriptionMarkup = $('.show-more-less-html__markup').html() ||
+        rawDescriptionHtml ||
+        (jsonLd && jsonLd.descriptionHtml);
+      const descriptionText = fields.description;
+      const descriptionSections = this.extractDescriptionSections(rawDescriptionMarkup);
+      const skills = this.skillExtractor.extract(descriptionSections, descriptionText, this.extractSkills($));
+
+      const application = this.extractApplication($, jsonLd);
 
       const seniorityLevel = this.extractDetail($, 'Seniority level');
-      const employmentType = this.extractDetail($, 'Employment type');
       const jobFunction = this.extractDetail($, 'Job function');
       const industries = this.extractDetail($, 'Industries');
-      
-      const skills = this.extractSkills($);
-      
-      const rawCompanyLink = $('.topcard__org-name-link').attr('href');
-      const companyLink = this.cleanText(rawCompanyLink);
 
-      // ENHANCED: Extract salary with flexible regex for all formats
-      const salaryInfo = this.extractSalary($);
+      const locationDetails = this.buildLocationDetails(fields.location, this.cleanText(rawTopCardText), descriptionText);
+      if (locationDetails && jsonLd && jsonLd.locationDetails) {
+        // Fill gaps from the structured address, never overriding what the page says
+        for (const [key, value] of Object.entries(jsonLd.locationDetails)) {
+          if (locationDetails[key] === null && value !== null) {
+            locationDetails[key] = value;
+          }
+        }
+      }
       
+      if (fields.salary && fieldSources.salary) {
+        this.salaryEstimator.recordObservation({
+          jobId: numericJobId,
+          title: fields.title,
+          locationDetails,
+          salary: fields.salary,
+          postedAt: fields.postedAt ? fields.postedAt.postedAt : null
+        });
+      }
+
       // Get company details if needed for salary estimation
       let companyDetails = null;
       if (estimateSalary || enrichCompany) {
-        companyDetails = await this.companyEnricher.fetchCompanyProfile(companyLink);
+        companyDetails = await this.companyEnricher.fetchCompanyProfile(fields.companyLink);
       }
       
       // Estimate salary if not available and requested
-      let finalSalary = salaryInfo;
-      if (estimateSalary && !salaryInfo && rawTitle) {
+      let finalSalary = fields.salary;
+      if (estimateSalary && !fields.salary && fields.title) {
         const estimate = await this.salaryEstimator.getEnhancedSalaryEstimate(
-          rawTitle, 
-          rawLocation,
-          this.detectSeniorityFromTitle(rawTitle)
+          fields.title, 
+          fields.location,
+          this.detectSeniorityFromTitle(fields.title),
+          salaryOptions
         );
-        finalSalary = estimate.salary;
+        // Unknown occupations get no estimate rather than a wrong one
+        if (estimate.salary) {
+          finalSalary = estimate.salary;
+          fieldSources.salary = 'estimate';
+        }
       }
 
+      const postedAt = fields.postedAt ? fields.postedAt.postedAt : null;
+      const { applicantCount, applicantCountBound } = this.parseApplicantCount(rawApplicants);
+
       const jobDetails = {
         id: numericJobId, // Always numeric
-        title: this.cleanText(rawTitle),
-        company: this.cleanText(rawCompany),
-        location: this.cleanText(rawLocation),
+        title: fields.title,
+        company: fields.company,
+        location: fields.location,
+        locationDetails,
         postedDate: this.cleanText(rawPostedDate),
+        postedAt,
+        postedAtPrecision: fields.postedAt ? fields.postedAt.postedAtPrecision : null,
+        reposted: posted.reposted,
+        validThrough: fields.validThrough,
+        ...this.detectJobStatus($, numericJobId, finalUrl, fields.validThrough, Boolean(fields.title)),
         applicants: this.cleanText(rawApplicants),
+        applicantCount,
+        applicantCountBound,
+        competition: this.buildCompetitionSignal(applicantCount, applicantCountBound, postedAt),
         description: descriptionText,
         descriptionLength: descriptionText ? descriptionText.length : null,
+        descriptionMarkup: rawDescriptionMarkup || null,
+        descriptionSections,
+        requirements: this.extractRequirements(descriptionSections, descriptionText),
         seniorityLevel,
-        employmentType,
+        employmentType: fields.employmentType,
         jobFunction,
         industries,
         skills: skills.length > 0 ? skills : null,
         salary: finalSalary,
-        companyLink: companyLink,
+        easyApply: application.method ? application.method === 'easy_apply' : null,
+        application,
+        hiringTeam: this.extractHiringTeam($),
+        companyLink: fields.companyLink,
         jobLink: url,
-        source: 'linkedin'
+        source: 'linkedin',
+        fieldSources
         // TIMESTAMP REMOVED
       };
 
@@ -1522,7 +3100,7 @@ class LinkedInScraper {
       }
 
       cache.set(cacheKey, jobDetails);
-      return jobDetails;
+      return this.renderJobDescription(jobDetails, descriptionFormat);
 
     } catch (error) {
       console.error('Error fetching job details:', error.message);
@@ -1530,6 +3108,220 @@ class LinkedInScraper {
     }
   }
 
+  // How to apply: Easy Apply on LinkedIn or an external site. External links are
+  // unwrapped from LinkedIn's redirect and stripped of tracking parameters.
+  extractApplication($, jsonLd = null) {
+    // The offsite URL sits in an HTML comment inside <code id="applyUrl">
+    const applyUrlComment = ($('code#applyUrl').html() || '').match(/<!--\s*"?([^"]+?)"?\s*-->/);
+    const hasOffsiteButton = $('[data-tracking-control-name*="apply-link-offsite"]').length > 0;
+    const hasOnsiteButton = $('[data-tracking-control-name*="apply-link-onsite"]').length > 0 ||
+      /easy apply/i.test($('.top-card-layout__cta-container, .apply-button').text());
+
+    let method = null;
+    if (applyUrlComment || hasOffsiteButton) {
+      method = 'external';
+    } else if (hasOnsiteButton || (jsonLd && jsonLd.directApply)) {
+      method = 'easy_apply';
+    }
+
+    const applyUrl = applyUrlComment ? this.resolveApplyUrl(cheerio.load(applyUrlComment[1]).text()) : null;
+
+    return {
+      method,
+      applyUrl,
+      atsVendor: this.detectAtsVendor(applyUrl)
+    };
+  }
+
+  resolveApplyUrl(url) {
+    let current = url;
+
+    // LinkedIn wraps offsite links (externalApply, /redir/redirect); unwrap nested wrappers too
+    for (let depth = 0; depth < 3 && current; depth++) {
+      try {
+        const parsed = new URL(current, config.LINKEDIN_BASE_URL);
+        const isWrapper = /(^|\.)linkedin\.com$/.test(parsed.hostname) &&
+          /\/(externalApply|redir\/redirect)/.test(parsed.pathname);
+        const target = parsed.searchParams.get('url');
+        if (!isWrapper || !target) break;
+        current = target;
+      } catch (error) {
+        return null;
+      }
+    }
+
+    // Never hand back a LinkedIn URL as the offsite destination
+    const cleaned = this.stripTrackingParams(current, config.APPLY_TRACKING_PARAMS);
+    return cleaned && !/^https?:\/\/([^/]+\.)?linkedin\.com\//.test(cleaned) ? cleaned : null;
+  }
+
+  detectAtsVendor(applyUrl) {
+    if (!applyUrl) return null;
+
+    try {
+      const { hostname, searchParams } = new URL(applyUrl);
+      const vendor = ATS_VENDORS.find(({ pattern }) => pattern.test(hostname));
+      if (vendor) return vendor.name;
+
+      // Greenhouse boards embedded on company career sites keep their job param
+      if (searchParams.has('gh_jid')) return 'Greenhouse';
+    } catch (error) {
+      return null;
+    }
+
+    return null;
+  }
+
+  // "Meet the hiring team" / job poster block. Null when the page has none or
+  // when personal data is disabled via config.INCLUDE_HIRING_TEAM.
+  extractHiringTeam($) {
+    if (!config.INCLUDE_HIRING_TEAM) return null;
+
+    const members = [];
+    $('.message-the-recruiter .base-main-card').each((i, el) => {
+      const $card = $(el);
+      const name = $card.find('.base-main-card__title').first().text().trim();
+      if (!name) return;
+
+      const href = $card.find('a.base-card__full-link, a.message-the-recruiter__cta').first().attr('href');
+      members.push({
+        name,
+        headline: $card.find('.base-main-card__subtitle').first().text().trim() || null,
+        profileUrl: href ? this.stripTrackingParams(href) : null
+      });
+    });
+
+    return members.length > 0 ? members : null;
+  }
+
+  // Finds the schema.org JobPosting object among the page's JSON-LD scripts
+  extractJobPostingJsonLd($) {
+    const isJobPosting = node => node && typeof node === 'object' &&
+      [].concat(node['@type'] || []).includes('JobPosting');
+
+    let posting = null;
+    $('script[type="application/ld+json"]').each((i, element) => {
+      if (posting) return;
+      try {
+        const data = JSON.parse($(element).contents().text());
+        const candidates = [].concat(data, ...[].concat(data).map(node => (node && node['@graph']) || []));
+        posting = candidates.find(isJobPosting) || null;
+      } catch (error) {
+        // Malformed JSON-LD is common enough that it shouldn't fail the page
+      }
+    });
+
+    return posting;
+  }
+
+  // Maps a JobPosting object onto the same field names the HTML selectors produce
+  parseJobPostingJsonLd(posting) {
+    if (!posting) return null;
+
+    const decode = value => (typeof value === 'string' ? this.cleanText(cheerio.load(value).text()) : null);
+    const employmentTypes = {
+      FULL_TIME: 'Full-time',
+      PART_TIME: 'Part-time',
+      CONTRACTOR: 'Contract',
+      TEMPORARY: 'Temporary',
+      INTERN: 'Internship',
+      VOLUNTEER: 'Volunteer',
+      PER_DIEM: 'Per diem',
+      OTHER: 'Other'
+    };
+
+    const organization = posting.hiringOrganization || {};
+    const place = [].concat(posting.jobLocation || [])[0] || {};
+    const address = place.address || {};
+    const countryValue = typeof address.addressCountry === 'object' && address.addressCountry !== null
+      ? address.addressCountry.name || address.addressCountry.identifier
+      : address.addressCountry;
+    const country = countryValue
+      ? locationResolver.countriesByCode.get(String(countryValue).toLowerCase()) ||
+        locationResolver.countriesByName.get(String(countryValue).toLowerCase())
+      : null;
+
+    const city = decode(address.addressLocality);
+    const region = decode(address.addressRegion);
+    const countryName = country ? country.name : decode(countryValue);
+    const locationParts = [city, region !== city ? region : null, countryName].filter(Boolean);
+    const telecommute = [].concat(posting.jobLocationType || []).includes('TELECOMMUTE');
+
+    const datePosted = posting.datePosted ? new Date(posting.datePosted) : null;
+    const validThrough = posting.validThrough ? new Date(posting.validThrough) : null;
+    const rawEmploymentType = [].concat(posting.employmentType || [])[0];
+    const descriptionHtml = typeof posting.description === 'string'
+      ? cheerio.load(posting.description).text()
+      : null;
+
+    return {
+      title: decode(posting.title),
+      company: decode(organization.name),
+      companyLink: typeof organization.sameAs === 'string' ? organization.sameAs : null,
+      location: locationParts.length > 0 ? locationParts.join(', ') : null,
+      locationDetails: {
+        city,
+        region,
+        country: countryName,
+        countryCode: country ? country.code : null,
+        workplaceType: telecommute ? 'remote' : null
+      },
+      postedAt: datePosted && !Number.isNaN(datePosted.getTime())
+        ? {
+          postedAt: datePosted.toISOString(),
+          postedAtPrecision: /T\d{2}:\d{2}/.test(posting.datePosted) ? 'minute' : 'day'
+        }
+        : null,
+      validThrough: validThrough && !Number.isNaN(validThrough.getTime()) ? validThrough.toISOString() : null,
+      employmentType: rawEmploymentType ? employmentTypes[rawEmploymentType] || decode(rawEmploymentType) : null,
+      salary: this.parseJsonLdSalary(posting.baseSalary),
+      description: descriptionHtml ? this.htmlToPlainText(descriptionHtml) : null,
+      descriptionHtml,
+      directApply: typeof posting.directApply === 'boolean' ? posting.directApply : null
+    };
+  }
+
+  parseJsonLdSalary(baseSalary) {
+    if (!baseSalary || typeof baseSalary !== 'object') return null;
+
+    const value = baseSalary.value || {};
+    const toNumber = input => {
+      const number = typeof input === 'string' ? this.parseSalaryAmount(input) : input;
+      return typeof number === 'number' && Number.isFinite(number) ? number : null;
+    };
+    const min = toNumber(value.minValue !== undefined ? value.minValue : value.value);
+    const max = toNumber(value.maxValue !== undefined ? value.maxValue : value.value);
+    if (min === null && max === null) return null;
+
+    const period = (value.unitText || 'YEAR').toUpperCase();
+    return this.normalizeSalary({
+      text: null,
+      min,
+      max,
+      currency: (baseSalary.currency || value.currency || 'USD').toUpperCase(),
+      period: SALARY_PERIODS.includes(period) ? period : 'YEAR',
+      estimated: false,
+      source: 'LinkedIn Job Posting'
+    });
+  }
+
+  // Picks each field from the first source in JOB_FIELD_PRECEDENCE that has it and
+  // records where it came from ('json-ld', 'html' or null when neither had it)
+  mergeJobFields(jsonLdFields, htmlFields) {
+    const sources = { jsonLd: jsonLdFields || {}, html: htmlFields || {} };
+    const sourceNames = { jsonLd: 'json-ld', html: 'html' };
+    const fields = {};
+    const fieldSources = {};
+
+    for (const [field, order] of Object.entries(JOB_FIELD_PRECEDENCE)) {
+      const source = order.find(name => sources[name][field] !== null && sources[name][field] !== undefined);
+      fields[field] = source ? sources[source][field] : null;
+      fieldSources[field] = source ? sourceNames[source] : null;
+    }
+
+    return { fields, fieldSources };
+  }
+
   detectSeniorityFromTitle(title) {
     const titleLower = title.toLowerCase();
     if (titleLower.includes('senior') || titleLower.includes('sr ') || titleLower.includes('sr.')) {
@@ -1563,80 +3355,339 @@ class LinkedInScraper {
     return skills;
   }
 
-  // ENHANCED: Universal salary extraction that handles ALL formats
-  extractSalary($) {
-    const salaryElement = $('.salary');
-    if (salaryElement.length) {
-      const salaryText = salaryElement.text().trim();
-      if (salaryText) {
-        // SUPER FLEXIBLE regex - handles almost any salary format
-        // Matches patterns like:
-        // $55.50 - $75.00, US$55.50 - US$75.00, $120K - $150K, 
-        // $85,000 - $120,000, $85,000 to $120,000, CAD$80,000 - CAD$100,000,
-        // €50.000 - €70.000, 55.50 - 75.00/hour, etc.
-        const matches = salaryText.match(
-          /(?:[^\d]*)(\d{1,3}(?:[,\s]\d{3})*(?:\.\d{1,2})?)[kK]?\s*(?:-|–|to)\s*(?:[^\d]*)(\d{1,3}(?:[,\s]\d{3})*(?:\.\d{1,2})?)[kK]?/i
-        );
-        
-        if (matches) {
-          // Clean the numbers (remove commas, spaces, K suffix)
-          const cleanNumber = (str) => {
-            // Remove commas and spaces
-            let cleaned = str.replace(/[,\s]/g, '');
-            
-            // Handle K suffix (multiply by 1000)
-            if (str.toLowerCase().includes('k')) {
-              cleaned = (parseFloat(cleaned) * 1000).toString();
-            }
-            
-            return cleaned;
-          };
-          
-          // Detect currency from the text
-          const detectCurrency = (text) => {
-            if (text.includes('$') || text.includes('USD') || text.includes('US$')) return 'USD';
-            if (text.includes('€') || text.includes('EUR')) return 'EUR';
-            if (text.includes('£') || text.includes('GBP')) return 'GBP';
-            if (text.includes('CAD') || text.includes('C$')) return 'CAD';
-            if (text.includes('AUD') || text.includes('A$')) return 'AUD';
-            if (text.includes('JPY') || text.includes('¥')) return 'JPY';
-            if (text.includes('CNY') || text.includes('¥')) return 'CNY';
-            if (text.includes('INR') || text.includes('₹')) return 'INR';
-            return 'USD'; // Default
-          };
-          
-          // Detect if it's hourly
-          const isHourly = /hour|hr|\/h/i.test(salaryText);
-          
-          // Detect if it's monthly
-          const isMonthly = /month|mo|\/mo/i.test(salaryText) && !isHourly;
-          
-          // Determine period
-          let period = 'YEAR';
-          if (isHourly) period = 'HOUR';
-          else if (isMonthly) period = 'MONTH';
-          
-          return {
-            text: salaryText,
-            min: cleanNumber(matches[1]),
-            max: cleanNumber(matches[2]),
-            currency: detectCurrency(salaryText),
-            period: period,
-            estimated: false,
-            source: 'LinkedIn Job Posting'
-          };
-        }
-        
-        // If no range found, return just the text
-        return { 
-          text: salaryText, 
-          estimated: false,
-          source: 'LinkedIn Job Posting'
-        };
-      }
+  // ENHANCED: Universal salary extraction that handles ALL formats
+  // Posted salary from the job page: "$120K - $150K", "€70.000,00/yr - €90.000,00/yr",
+  // "55.50 - 75.00/hour". countryCode disambiguates ¥ (CNY vs JPY) and $ (USD vs CAD, AUD...).
+  extractSalary($, countryCode = null) {
+    const salaryText = this.cleanText($('.salary').first().text());
+    if (!salaryText) return null;
+
+    // Grouped amounts (including Indian 12,00,000 grouping) or plain numbers, plus K/M suffix
+    const amountPattern = /(\d{1,3}(?:[.,\s\u00a0\u202f']\d{2,3})*[.,\s\u00a0\u202f']\d{3}(?:[.,]\d{1,2})?|\d+(?:[.,]\d+)?)(?:\s?([kKmM])(?![a-zA-Z]))?/g;
+    const amounts = [...salaryText.matchAll(amountPattern)]
+      .map(match => this.parseSalaryAmount(match[1], match[2]))
+      .filter(amount => amount !== null)
+      .slice(0, 2);
+
+    // If no amount found, return just the text
+    if (amounts.length === 0) {
+      return {
+        text: salaryText,
+        estimated: false,
+        source: 'LinkedIn Job Posting'
+      };
+    }
+
+    return this.normalizeSalary({
+      text: salaryText,
+      min: amounts[0],
+      max: amounts.length > 1 ? amounts[1] : amounts[0],
+      currency: this.detectSalaryCurrency(salaryText, countryCode),
+      period: this.detectSalaryPeriod(salaryText),
+      estimated: false,
+      source: 'LinkedIn Job Posting'
+    });
+  }
+
+  // Handles both 1,234.56 and 1.234,56 styles: a final separator followed by
+  // exactly three digits is a thousands separator, anything else is decimal
+  parseSalaryAmount(raw, suffix = null) {
+    const compact = String(raw).replace(/[\s\u00a0\u202f']/g, '');
+    const lastSeparator = Math.max(compact.lastIndexOf('.'), compact.lastIndexOf(','));
+    let number;
+
+    if (lastSeparator === -1) {
+      number = parseFloat(compact);
+    } else {
+      const integerPart = compact.slice(0, lastSeparator).replace(/[.,]/g, '');
+      const fraction = compact.slice(lastSeparator + 1);
+      number = fraction.length === 3
+        ? parseFloat(integerPart + fraction)
+        : parseFloat(`${integerPart}.${fraction}`);
+    }
+
+    if (!Number.isFinite(number)) return null;
+    if (suffix && suffix.toLowerCase() === 'k') number *= 1000;
+    if (suffix && suffix.toLowerCase() === 'm') number *= 1000000;
+    return Math.round(number * 100) / 100;
+  }
+
+  detectSalaryCurrency(text, countryCode = null) {
+    // Explicit ISO codes and prefixed dollar signs first, so "CA$" never reads as USD
+    const code = text.match(/\b(USD|EUR|GBP|CAD|AUD|NZD|CHF|JPY|CNY|RMB|INR|SGD|HKD|SEK|NOK|DKK|PLN|CZK|BRL|MXN|ZAR|AED|SAR)\b/);
+    if (code) return code[1] === 'RMB' ? 'CNY' : code[1];
+
+    const prefixed = [
+      [/US\$/, 'USD'], [/(CA|C)\$/, 'CAD'], [/(AU|A)\$/, 'AUD'], [/NZ\$/, 'NZD'],
+      [/HK\$/, 'HKD'], [/S\$/, 'SGD'], [/R\$/, 'BRL'], [/MX\$/, 'MXN']
+    ].find(([pattern]) => pattern.test(text));
+    if (prefixed) return prefixed[1];
+
+    if (text.includes('€')) return 'EUR';
+    if (text.includes('£')) return 'GBP';
+    if (text.includes('₹')) return 'INR';
+    if (text.includes('₩')) return 'KRW';
+    if (text.includes('₪')) return 'ILS';
+    if (text.includes('₺')) return 'TRY';
+    if (text.includes('₱')) return 'PHP';
+    if (text.includes('₦')) return 'NGN';
+    if (/zł/.test(text)) return 'PLN';
+    if (text.includes('元')) return 'CNY';
+    if (text.includes('円')) return 'JPY';
+    if (text.includes('¥') || text.includes('￥')) return countryCode === 'CN' ? 'CNY' : 'JPY';
+    if (text.includes('$')) return LOCAL_DOLLAR_CURRENCIES[countryCode] || 'USD';
+    return 'USD'; // Default
+  }
+
+  detectSalaryPeriod(text) {
+    if (/\b(hour|hourly|hr|hrs|hora|stunde|heure)\b|\/\s*h\b/i.test(text)) return 'HOUR';
+    if (/\b(day|daily)\b|\/\s*d\b/i.test(text)) return 'DAY';
+    if (/\b(week|weekly|wk)\b/i.test(text)) return 'WEEK';
+    if (/\b(month|monthly|mo|mth|monat|mois|mes|mensual|mensal)\b|mês/i.test(text)) return 'MONTH';
+    return 'YEAR';
+  }
+
+  // Adds annualized amounts and, when the currency is in the FX table, USD equivalents
+  normalizeSalary(salary) {
+    const annualize = amount => this.annualizeAmount(amount, salary.period);
+    const annualizedMin = roundForPeriod(annualize(salary.min), 'YEAR');
+    const annualizedMax = roundForPeriod(annualize(salary.max), 'YEAR');
+
+    let usdEquivalent = null;
+    if (currencyConverter.hasCurrency(salary.currency)) {
+      const toUsd = amount => currencyConverter.convert(amount, salary.currency, 'USD');
+      usdEquivalent = {
+        min: roundForPeriod(toUsd(salary.min), salary.period),
+        max: roundForPeriod(toUsd(salary.max), salary.period),
+        annualizedMin: roundForPeriod(toUsd(annualizedMin), 'YEAR'),
+        annualizedMax: roundForPeriod(toUsd(annualizedMax), 'YEAR'),
+        ratesVersion: currencyConverter.version
+      };
+    }
+
+    return { ...salary, annualizedMin, annualizedMax, usdEquivalent };
+  }
+
+  annualizeAmount(amount, period) {
+    if (amount === null || amount === undefined) return null;
+    return amount * periodsPerYear(period);
+  }
+}
+
+// ====================
+// Request Helpers
+// ====================
+// A cursor is a listing page start plus how many of that page's cards were
+// already returned: "start:50,skip:15"
+function encodeSearchCursor(start, skip = 0) {
+  return Buffer.from(skip > 0 ? `start:${start},skip:${skip}` : `start:${start}`).toString('base64url');
+}
+
+function decodeSearchCursor(cursor) {
+  const decoded = Buffer.from(String(cursor), 'base64url').toString();
+  const match = decoded.match(/^start:(\d+)(?:,skip:(\d+))?$/);
+  return match ? { start: parseInt(match[1]), skip: match[2] ? parseInt(match[2]) : 0 } : null;
+}
+
+function parseIntegerParam(value) {
+  if (value === undefined || value === '') return undefined;
+  return /^\d+$/.test(String(value)) ? parseInt(value) : NaN;
+}
+
+// Maps job fetch errors to an HTTP status, a stable error code and a client-facing message
+function classifyJobError(error) {
+  const message = error.message || '';
+
+  if (message.includes('Invalid Job ID') || message.includes('must contain numeric')) {
+    return { statusCode: 400, code: 'INVALID_ID', message: 'Job ID must be numeric. Use the numeric IDs returned by the search endpoint.' };
+  } else if (message.includes('404') || message.includes('not found')) {
+    return { statusCode: 404, code: 'NOT_FOUND', message: 'Job not found or no longer available on LinkedIn' };
+  } else if (message.includes('timeout')) {
+    return { statusCode: 408, code: 'TIMEOUT', message: 'Request timeout. LinkedIn may be rate limiting requests.' };
+  } else if (message.includes('blocked') || message.includes('access denied')) {
+    return { statusCode: 403, code: 'BLOCKED', message: 'Access to LinkedIn blocked. Try again later.' };
+  }
+
+  return { statusCode: 500, code: 'FETCH_FAILED', message };
+}
+
+function parseListParam(value) {
+  if (value === undefined || value === null || value === '') return [];
+  const values = Array.isArray(value) ? value : String(value).split(',');
+  return values
+    .map(v => String(v).trim().toLowerCase().replace(/[\s_]+/g, '-'))
+    .filter(Boolean);
+}
+
+// Locations contain commas themselves ("Portland, ME"), so a list is either repeated
+// params or separated by | or ;. A single value with neither splits on commas.
+function parseLocationListParam(value) {
+  if (value === undefined || value === null || value === '') return [];
+  const values = Array.isArray(value) || /[|;]/.test(String(value))
+    ? [].concat(value).flatMap(v => String(v).split(/[|;]/))
+    : String(value).split(',');
+  return [...new Set(values.map(v => v.trim()).filter(Boolean))];
+}
+
+function parseBooleanParam(value) {
+  return value === true || value === 'true';
+}
+
+// ?currency=, ?period= and ?percentile= for salary estimates. Returns { options } or { error }.
+function parseSalaryOptions(query) {
+  const options = {};
+
+  if (query.currency !== undefined && query.currency !== '') {
+    const currency = String(query.currency).trim().toUpperCase();
+    if (!currencyConverter.hasCurrency(currency)) {
+      return { error: `currency must be an ISO 4217 code from the rate table (e.g. USD, EUR, GBP, JPY)` };
+    }
+    options.currency = currency;
+  }
+
+  if (query.period !== undefined && query.period !== '') {
+    const period = String(query.period).trim().toUpperCase();
+    if (!config.ESTIMATE_PERIODS.includes(period)) {
+      return { error: `period must be one of: ${config.ESTIMATE_PERIODS.join(', ')}` };
+    }
+    options.period = period;
+  }
+
+  if (query.percentile !== undefined && query.percentile !== '') {
+    const percentileValue = parseIntegerParam(String(query.percentile).trim().replace(/^p/i, ''));
+    if (!Number.isInteger(percentileValue) || percentileValue < 1 || percentileValue > 99) {
+      return { error: 'percentile must be an integer from 1 to 99 (e.g. 75 or p75)' };
+    }
+    options.percentile = percentileValue;
+  }
+
+  return { options };
+}
+
+// Body for salary requests whose title matches no occupation in the dataset
+function unknownOccupationResponse(title, query) {
+  const suggestions = query.alternatives.map(alternative => alternative.category);
+  return {
+    success: false,
+    code: 'UNKNOWN_OCCUPATION',
+    error: `Unknown occupation: "${title}" does not match any job category in the salary dataset` +
+      (suggestions.length > 0 ? `. Closest: ${suggestions.join(', ')}` : ''),
+    query
+  };
+}
+
+// Validates search filters from a query string or JSON body into the normalized
+// shape used by LinkedInScraper.buildSearchFacets. Only applied filters are kept.
+function parseSearchFilters(input) {
+  const filters = {};
+  const valueAliases = {
+    'onsite': 'on-site',
+    'in-office': 'on-site',
+    'fulltime': 'full-time',
+    'parttime': 'part-time',
+    'day': '24h',
+    'relevance': 'relevant',
+    'date': 'recent'
+  };
+  const normalize = value => valueAliases[value] || value;
+
+  const enumList = (name, allowed) => {
+    const values = [...new Set(parseListParam(input[name]).map(normalize))];
+    const invalid = values.filter(value => !allowed.includes(value));
+    if (invalid.length) {
+      throw new Error(`Invalid ${name}: ${invalid.join(', ')}. Allowed values: ${allowed.join(', ')}`);
+    }
+    return values;
+  };
+
+  try {
+    const [datePosted, ...extraDates] = enumList('datePosted', Object.keys(SEARCH_FACETS.datePosted));
+    if (extraDates.length) {
+      throw new Error('datePosted accepts a single value');
+    }
+    if (datePosted) filters.datePosted = datePosted;
+
+    const experienceLevel = enumList('experienceLevel', Object.keys(SEARCH_FACETS.experienceLevel));
+    if (experienceLevel.length) filters.experienceLevel = experienceLevel;
+
+    const jobType = enumList('jobType', Object.keys(SEARCH_FACETS.jobType));
+    if (jobType.length) filters.jobType = jobType;
+
+    // remote=true is kept as a shortcut for workMode=remote
+    const workMode = enumList('workMode', Object.keys(SEARCH_FACETS.workMode));
+    if (parseBooleanParam(input.remote) && !workMode.includes('remote')) {
+      workMode.push('remote');
+    }
+    if (workMode.length) filters.workMode = workMode;
+
+    const [sortBy, ...extraSorts] = enumList('sortBy', Object.keys(SEARCH_FACETS.sortBy));
+    if (extraSorts.length) {
+      throw new Error('sortBy accepts a single value');
+    }
+    if (sortBy) filters.sortBy = sortBy;
+  } catch (error) {
+    return { error: error.message };
+  }
+
+  const distance = parseIntegerParam(input.distance);
+  if (distance !== undefined) {
+    if (!SEARCH_FACETS.distance.includes(distance)) {
+      return { error: `Invalid distance. Allowed values (miles): ${SEARCH_FACETS.distance.join(', ')}` };
+    }
+    filters.distance = distance;
+  }
+
+  if (parseBooleanParam(input.easyApply)) {
+    filters.easyApply = true;
+  }
+
+  const companyIds = [...new Set(parseListParam(input.companyIds))];
+  if (companyIds.some(id => !/^\d+$/.test(id))) {
+    return { error: 'companyIds must be a comma-separated list of numeric LinkedIn company IDs' };
+  }
+  if (companyIds.length) filters.companyIds = companyIds;
+
+  return { filters };
+}
+
+// Resolves cursor/start/page/limit into a { start, limit } pair.
+// Precedence: cursor > start > page.
+function parsePagination(query) {
+  const limit = parseIntegerParam(query.limit);
+  const start = parseIntegerParam(query.start);
+  const page = parseIntegerParam(query.page);
+
+  if (limit !== undefined && (Number.isNaN(limit) || limit < 1 || limit > config.MAX_RESULTS_PER_REQUEST)) {
+    return { error: `limit must be an integer between 1 and ${config.MAX_RESULTS_PER_REQUEST}` };
+  }
+
+  const pageSize = limit || config.DEFAULT_RESULTS;
+  let offset = 0;
+  let skip = 0;
+
+  if (query.cursor) {
+    const cursor = decodeSearchCursor(query.cursor);
+    if (cursor === null) {
+      return { error: 'cursor is invalid. Use the nextCursor value returned by a previous search.' };
     }
-    return null;
+    ({ start: offset, skip } = cursor);
+  } else if (start !== undefined) {
+    if (Number.isNaN(start)) {
+      return { error: 'start must be a non-negative integer' };
+    }
+    offset = start;
+  } else if (page !== undefined) {
+    if (Number.isNaN(page) || page < 1) {
+      return { error: 'page must be a positive integer' };
+    }
+    offset = (page - 1) * pageSize;
+  }
+
+  if (offset >= config.MAX_SEARCH_START) {
+    return { error: `LinkedIn only lists the first ${config.MAX_SEARCH_START} results of a search` };
   }
+
+  return { pagination: { start: offset, limit: pageSize, skip } };
 }
 
 // Initialize scraper
@@ -1656,19 +3707,65 @@ app.get('/', (req, res) => {
         method: 'GET',
         path: '/api/search/{keywords}/{location}',
         description: 'Search LinkedIn jobs by keywords and location',
-        note: 'Returns 50 most relevant jobs with numeric IDs'
+        note: 'Returns 50 most relevant jobs with numeric IDs. Page deeper with ?page=, ?start=, ?limit= or ?cursor={nextCursor}. Add ?includeDetails=true for descriptions, seniority, employment type and salary',
+        filters: {
+          datePosted: Object.keys(SEARCH_FACETS.datePosted),
+          experienceLevel: Object.keys(SEARCH_FACETS.experienceLevel),
+          jobType: Object.keys(SEARCH_FACETS.jobType),
+          workMode: Object.keys(SEARCH_FACETS.workMode),
+          sortBy: Object.keys(SEARCH_FACETS.sortBy),
+          distance: SEARCH_FACETS.distance,
+          easyApply: 'true',
+          companyIds: 'Comma-separated numeric LinkedIn company IDs'
+        }
+      },
+      {
+        method: 'POST',
+        path: '/api/search',
+        description: 'Search the same keywords across several locations',
+        note: `Body: { keywords, locations: [...] } plus any search filter. Up to ${config.MAX_SEARCH_LOCATIONS} locations, merged and deduplicated by job ID`
       },
       {
         method: 'GET',
         path: '/api/job/{jobId}',
         description: 'Get detailed LinkedIn job information',
-        note: 'Add ?estimateSalary=true for LinkedIn-based salary estimates'
+        note: 'Add ?estimateSalary=true for LinkedIn-based salary estimates. ?descriptionFormat=text|markdown|html picks the description format'
+      },
+      {
+        method: 'GET',
+        path: '/api/job/{jobId}/status',
+        description: 'Check whether a job posting is open, closed, expired or removed',
+        note: 'Lightweight: no company enrichment or salary estimation'
+      },
+      {
+        method: 'GET',
+        path: '/api/job/{jobId}/similar',
+        description: 'Related postings from the job page (similar jobs, people also viewed)',
+        note: 'Returned in the search card shape, deduplicated, without the source job'
+      },
+      {
+        method: 'POST',
+        path: '/api/jobs/batch',
+        description: 'Get details for many jobs in one request',
+        note: `Body: { jobIds: [...], enrichCompany, estimateSalary, concurrency }. Up to ${config.BATCH_MAX_JOBS} job IDs or LinkedIn job URLs; one result per input, in order`
       },
       {
         method: 'GET',
         path: '/api/salary-estimate/{title}/{location}',
         description: 'LinkedIn-powered global salary estimates by title and location',
-        note: 'Returns total compensation breakdown based on LinkedIn job data from 50+ countries'
+        note: 'Returns base, additional and total pay with p10-p90 in the local currency. ?currency= (ISO code) and ?period=YEAR|MONTH|HOUR convert it; ?percentile= answers any percentile'
+      },
+      {
+        method: 'GET',
+        path: '/api/salary-compare/{title}',
+        description: 'Compare salary estimates across locations and seniority levels',
+        note: `?locations= (up to ${config.MAX_COMPARE_LOCATIONS}; separate qualified names like "Portland, ME" with | or ; or repeat the param), ?levels=, ?baseline=location[:level]. Cells are in USD unless ?currency= is set`
+      },
+      {
+        method: 'POST',
+        path: '/api/admin/salary-dataset/reload',
+        description: 'Reload the salary dataset without a deploy',
+        note: 'Requires the X-Admin-Token header. An invalid dataset is rejected and the current one kept'
       },
       {
         method: 'GET',
@@ -1688,8 +3785,10 @@ app.get('/api/search/:keywords/:location', async (req, res) => {
     const location = decodeURIComponent(req.params.location || '');
     
     // Get query parameters
-    const remote = req.query.remote === 'true';
     const enrichCompanies = req.query.enrichCompanies === 'true';
+    const includeDetails = req.query.includeDetails === 'true';
+    const { pagination, error: paginationError } = parsePagination(req.query);
+    const { filters, error: filtersError } = parseSearchFilters(req.query);
 
     // Validate required parameters
     if (!keywords.trim()) {
@@ -1706,15 +3805,27 @@ app.get('/api/search/:keywords/:location', async (req, res) => {
       });
     }
 
+    if (paginationError || filtersError) {
+      return res.status(400).json({
+        success: false,
+        error: paginationError || filtersError
+      });
+    }
+
     const result = await scraper.searchJobs(
       keywords,
       location,
-      remote,
-      enrichCompanies
+      filters,
+      enrichCompanies,
+      pagination
     );
 
     // Remove internal indicators
     delete result.cacheHit;
+
+    if (includeDetails) {
+      result.data.jobs = await scraper.attachJobDetails(result.data.jobs);
+    }
     
     res.json(result);
 
@@ -1727,13 +3838,88 @@ app.get('/api/search/:keywords/:location', async (req, res) => {
   }
 });
 
+// Multi-location Search Endpoint
+app.post('/api/search', async (req, res) => {
+  try {
+    const body = req.body || {};
+    const keywords = typeof body.keywords === 'string' ? body.keywords.trim() : '';
+    const enrichCompanies = parseBooleanParam(body.enrichCompanies);
+    const includeDetails = parseBooleanParam(body.includeDetails);
+
+    if (!keywords) {
+      return res.status(400).json({
+        success: false,
+        error: 'keywords is required'
+      });
+    }
+
+    if (!Array.isArray(body.locations) || body.locations.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'locations must be a non-empty array of location names'
+      });
+    }
+
+    // Drop blanks and case-insensitive duplicates, keeping the caller's order
+    const locations = [];
+    const seenLocations = new Set();
+    for (const rawLocation of body.locations) {
+      const location = typeof rawLocation === 'string' ? rawLocation.trim() : '';
+      if (location && !seenLocations.has(location.toLowerCase())) {
+        seenLocations.add(location.toLowerCase());
+        locations.push(location);
+      }
+    }
+
+    if (locations.length === 0 || locations.length > config.MAX_SEARCH_LOCATIONS) {
+      return res.status(400).json({
+        success: false,
+        error: `locations must contain between 1 and ${config.MAX_SEARCH_LOCATIONS} location names`
+      });
+    }
+
+    const { pagination, error: paginationError } = parsePagination(body);
+    const { filters, error: filtersError } = parseSearchFilters(body);
+
+    if (paginationError || filtersError) {
+      return res.status(400).json({
+        success: false,
+        error: paginationError || filtersError
+      });
+    }
+
+    const result = await scraper.searchJobsAcrossLocations(
+      keywords,
+      locations,
+      filters,
+      enrichCompanies,
+      pagination
+    );
+
+    if (includeDetails) {
+      result.data.jobs = await scraper.attachJobDetails(result.data.jobs);
+    }
+
+    // Every location failed - nothing useful to return
+    res.status(result.success ? 200 : 502).json(result);
+
+  } catch (error) {
+    console.error('Multi-location search error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 // Job Details Endpoint
 app.get('/api/job/:jobId', async (req, res) => {
   try {
     let { jobId } = req.params;
     const { 
       enrichCompany = false,
-      estimateSalary = false 
+      estimateSalary = false,
+      descriptionFormat = 'text'
     } = req.query;
     
     if (!jobId || !jobId.trim()) {
@@ -1743,10 +3929,27 @@ app.get('/api/job/:jobId', async (req, res) => {
       });
     }
 
+    if (!config.DESCRIPTION_FORMATS.includes(descriptionFormat)) {
+      return res.status(400).json({
+        success: false,
+        error: `descriptionFormat must be one of: ${config.DESCRIPTION_FORMATS.join(', ')}`
+      });
+    }
+
+    const { options: salaryOptions, error: salaryOptionsError } = parseSalaryOptions(req.query);
+    if (salaryOptionsError) {
+      return res.status(400).json({
+        success: false,
+        error: salaryOptionsError
+      });
+    }
+
     const jobDetails = await scraper.getJobDetails(
       jobId, 
       enrichCompany === 'true',
-      estimateSalary === 'true'
+      estimateSalary === 'true',
+      descriptionFormat,
+      salaryOptions
     );
     
     if (!jobDetails.title) {
@@ -1770,22 +3973,7 @@ app.get('/api/job/:jobId', async (req, res) => {
     console.error('Job details error:', error);
     
     // Provide more specific error messages
-    let statusCode = 500;
-    let errorMessage = error.message;
-    
-    if (error.message.includes('Invalid Job ID') || error.message.includes('must contain numeric')) {
-      statusCode = 400;
-      errorMessage = 'Job ID must be numeric. Use the numeric IDs returned by the search endpoint.';
-    } else if (error.message.includes('404') || error.message.includes('not found')) {
-      statusCode = 404;
-      errorMessage = 'Job not found or no longer available on LinkedIn';
-    } else if (error.message.includes('timeout')) {
-      statusCode = 408;
-      errorMessage = 'Request timeout. LinkedIn may be rate limiting requests.';
-    } else if (error.message.includes('blocked') || error.message.includes('access denied')) {
-      statusCode = 403;
-      errorMessage = 'Access to LinkedIn blocked. Try again later.';
-    }
+    const { statusCode, message: errorMessage } = classifyJobError(error);
     
     res.status(statusCode).json({
       success: false,
@@ -1794,6 +3982,125 @@ app.get('/api/job/:jobId', async (req, res) => {
   }
 });
 
+// Job Status Endpoint
+app.get('/api/job/:jobId/status', async (req, res) => {
+  try {
+    const { jobId } = req.params;
+
+    if (!jobId || !jobId.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Job ID is required'
+      });
+    }
+
+    const status = await scraper.getJobStatus(jobId);
+    delete status.cacheHit;
+
+    res.json({
+      success: true,
+      data: status
+    });
+
+  } catch (error) {
+    console.error('Job status error:', error);
+    const { statusCode, code, message } = classifyJobError(error);
+    res.status(statusCode).json({
+      success: false,
+      code,
+      error: message
+    });
+  }
+});
+
+// Similar Jobs Endpoint
+app.get('/api/job/:jobId/similar', async (req, res) => {
+  try {
+    const { jobId } = req.params;
+
+    if (!jobId || !jobId.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Job ID is required'
+      });
+    }
+
+    const similar = await scraper.getSimilarJobs(jobId);
+    delete similar.cacheHit;
+
+    res.json({
+      success: true,
+      data: similar
+    });
+
+  } catch (error) {
+    console.error('Similar jobs error:', error);
+    const { statusCode, code, message } = classifyJobError(error);
+    res.status(statusCode).json({
+      success: false,
+      code,
+      error: message
+    });
+  }
+});
+
+// Batch Job Details Endpoint
+app.post('/api/jobs/batch', async (req, res) => {
+  try {
+    const body = req.body || {};
+    const jobIds = body.jobIds;
+
+    if (!Array.isArray(jobIds) || jobIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'jobIds must be a non-empty array of job IDs or LinkedIn job URLs'
+      });
+    }
+
+    if (jobIds.length > config.BATCH_MAX_JOBS) {
+      return res.status(400).json({
+        success: false,
+        error: `A batch can contain at most ${config.BATCH_MAX_JOBS} jobs`
+      });
+    }
+
+    const concurrency = parseIntegerParam(body.concurrency);
+    if (concurrency !== undefined &&
+        (Number.isNaN(concurrency) || concurrency < 1 || concurrency > config.BATCH_MAX_CONCURRENCY)) {
+      return res.status(400).json({
+        success: false,
+        error: `concurrency must be an integer between 1 and ${config.BATCH_MAX_CONCURRENCY}`
+      });
+    }
+
+    const results = await scraper.getJobDetailsBatch(
+      jobIds,
+      parseBooleanParam(body.enrichCompany),
+      parseBooleanParam(body.estimateSalary),
+      concurrency || config.BATCH_CONCURRENCY
+    );
+
+    const succeeded = results.filter(result => result.success).length;
+
+    res.json({
+      success: true,
+      data: {
+        requested: results.length,
+        succeeded,
+        failed: results.length - succeeded,
+        results
+      }
+    });
+
+  } catch (error) {
+    console.error('Batch job details error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 // Enhanced Salary Estimate Endpoint with Global LinkedIn Source
 app.get('/api/salary-estimate/:title/:location', async (req, res) => {
   try {
@@ -1815,12 +4122,25 @@ app.get('/api/salary-estimate/:title/:location', async (req, res) => {
       });
     }
     
+    const { options: salaryOptions, error: salaryOptionsError } = parseSalaryOptions(req.query);
+    if (salaryOptionsError) {
+      return res.status(400).json({
+        success: false,
+        error: salaryOptionsError
+      });
+    }
+
     // Get LinkedIn-powered salary estimate
     const estimate = await scraper.salaryEstimator.getEnhancedSalaryEstimate(
       title,
       location,
-      experience || null
+      experience || null,
+      salaryOptions
     );
+
+    if (estimate.unknownOccupation) {
+      return res.status(422).json(unknownOccupationResponse(title, estimate.query));
+    }
     
     const response = {
       success: true,
@@ -1838,6 +4158,91 @@ app.get('/api/salary-estimate/:title/:location', async (req, res) => {
   }
 });
 
+// Salary Comparison Endpoint
+app.get('/api/salary-compare/:title', async (req, res) => {
+  try {
+    const title = decodeURIComponent(req.params.title || '');
+    const locations = parseLocationListParam(req.query.locations);
+    const levels = parseListParam(req.query.levels);
+
+    if (!title.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Job title is required'
+      });
+    }
+
+    if (locations.length === 0 || locations.length > config.MAX_COMPARE_LOCATIONS) {
+      return res.status(400).json({
+        success: false,
+        error: `locations must list 1 to ${config.MAX_COMPARE_LOCATIONS} locations, separated by commas, | or ; or as repeated params`
+      });
+    }
+
+    const invalidLevels = levels.filter(level => !SENIORITY_BANDS.includes(level));
+    if (invalidLevels.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid levels: ${invalidLevels.join(', ')}. Allowed: ${SENIORITY_BANDS.join(', ')}`
+      });
+    }
+    if (levels.length === 0) {
+      levels.push(scraper.salaryEstimator.detectSeniority(title));
+    }
+
+    // ?baseline=location or location:level, defaulting to the first of each
+    const [baselineLocation, baselineLevel] = String(req.query.baseline || '').split(':').map(part => part.trim());
+    const baseline = {
+      location: locations.find(location => location.toLowerCase() === (baselineLocation || locations[0]).toLowerCase()),
+      level: (baselineLevel || levels[0]).toLowerCase()
+    };
+    if (!baseline.location || !levels.includes(baseline.level)) {
+      return res.status(400).json({
+        success: false,
+        error: 'baseline must be one of the requested locations, optionally with a requested level (e.g. london:senior)'
+      });
+    }
+
+    const { options: salaryOptions, error: salaryOptionsError } = parseSalaryOptions(req.query);
+    if (salaryOptionsError) {
+      return res.status(400).json({
+        success: false,
+        error: salaryOptionsError
+      });
+    }
+
+    const titleMatch = scraper.salaryEstimator.matchJobCategory(title);
+    if (!titleMatch.category) {
+      return res.status(422).json(unknownOccupationResponse(title, {
+        jobTitle: title,
+        normalizedJobCategory: null,
+        matchConfidence: titleMatch.matchConfidence,
+        alternatives: titleMatch.alternatives
+      }));
+    }
+
+    const comparison = await scraper.salaryEstimator.compareSalaries(
+      title,
+      locations,
+      [...new Set(levels)],
+      baseline,
+      salaryOptions
+    );
+
+    res.json({
+      success: true,
+      data: comparison
+    });
+
+  } catch (error) {
+    console.error('Salary comparison error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 // Company Details Endpoint with Clean Path Parameters
 app.get('/api/company/:companyIdentifier', async (req, res) => {
   try {
@@ -1911,6 +4316,40 @@ app.get('/api/company/:companyIdentifier', async (req, res) => {
   }
 });
 
+// Admin: reload the salary dataset (data/salary-dataset.json + SALARY_DATASET_FILE)
+app.post('/api/admin/salary-dataset/reload', (req, res) => {
+  if (!config.ADMIN_TOKEN) {
+    return res.status(403).json({
+      success: false,
+      error: 'Admin endpoints are disabled. Set ADMIN_TOKEN to enable them.'
+    });
+  }
+
+  const token = Buffer.from(String(req.get('X-Admin-Token') || ''));
+  const expected = Buffer.from(config.ADMIN_TOKEN);
+  if (token.length !== expected.length || !crypto.timingSafeEqual(token, expected)) {
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid or missing X-Admin-Token header'
+    });
+  }
+
+  try {
+    const dataset = scraper.salaryEstimator.reloadDataset();
+    res.json({
+      success: true,
+      data: dataset
+    });
+  } catch (error) {
+    console.error('Salary dataset reload error:', error.message);
+    res.status(400).json({
+      success: false,
+      error: error.message,
+      details: error.details || []
+    });
+  }
+});
+
 // 404 handler for undefined routes
 app.use((req, res) => {
   res.status(404).json({
@@ -1921,22 +4360,57 @@ app.use((req, res) => {
         method: 'GET',
         path: '/api/search/{keywords}/{location}',
         description: 'Get LinkedIn jobs by keywords and location',
-        example: '/api/search/software%20engineer/remote',
-        note: 'Returns jobs with numeric IDs'
+        example: '/api/search/software%20engineer/berlin?datePosted=week&workMode=remote,hybrid&page=2',
+        note: 'Returns jobs with numeric IDs. Supports ?page=, ?start=, ?limit=, ?cursor= and ?includeDetails=true'
+      },
+      {
+        method: 'POST',
+        path: '/api/search',
+        description: 'Search the same keywords across several locations',
+        example: '{ "keywords": "data engineer", "locations": ["london", "berlin", "amsterdam"] }',
+        note: 'Jobs are deduplicated by numeric ID and tagged with matchedLocations'
       },
       {
         method: 'GET',
         path: '/api/job/{jobId}',
         description: 'Get detailed information about a specific job',
-        example: '/api/job/3796675744?estimateSalary=true',
-        note: 'Add ?estimateSalary=true for LinkedIn-based salary estimates'
+        example: '/api/job/3796675744?estimateSalary=true&descriptionFormat=markdown',
+        note: 'Add ?estimateSalary=true for LinkedIn-based salary estimates (?currency= and ?period= apply to the estimate). ?descriptionFormat= accepts text (default), markdown or html'
+      },
+      {
+        method: 'GET',
+        path: '/api/job/{jobId}/status',
+        description: 'Check whether a job posting is open, closed, expired or removed',
+        example: '/api/job/3796675744/status',
+        note: 'Returns status (open, closed, expired, removed), statusReason and validThrough'
+      },
+      {
+        method: 'GET',
+        path: '/api/job/{jobId}/similar',
+        description: 'Related postings from the job page',
+        example: '/api/job/3796675744/similar',
+        note: 'Each job is tagged with the page module it came from (similarJobs or peopleAlsoViewed)'
+      },
+      {
+        method: 'POST',
+        path: '/api/jobs/batch',
+        description: 'Get details for many jobs in one request',
+        example: '{ "jobIds": ["3796675744", "https://www.linkedin.com/jobs/view/3796675745"], "concurrency": 5 }',
+        note: 'Each result has either data or an error with a code (INVALID_ID, NOT_FOUND, TIMEOUT, BLOCKED, FETCH_FAILED)'
       },
       {
         method: 'GET',
         path: '/api/salary-estimate/{title}/{location}',
         description: 'Get global LinkedIn-powered salary estimates',
-        example: '/api/salary-estimate/software%20engineer/london?experience=senior',
-        note: 'Works for 50+ countries. Optional ?experience= (junior, mid, senior, lead)'
+        example: '/api/salary-estimate/software%20engineer/london?experience=senior&period=MONTH',
+        note: 'Works for 50+ countries. Optional ?experience= (junior, mid, senior, lead), ?currency= (defaults to local), ?period= (YEAR, MONTH, HOUR) and ?percentile= (1-99)'
+      },
+      {
+        method: 'GET',
+        path: '/api/salary-compare/{title}',
+        description: 'Compare salary estimates across locations and seniority levels',
+        example: '/api/salary-compare/data%20engineer?locations=london,berlin,austin&levels=mid,senior&baseline=berlin:mid',
+        note: 'Each cell has the location multiplier and percentDifference from the baseline cell. Separate locations containing commas with | or ; (?locations=Portland, ME|Portland, OR) or repeat ?locations='
       },
       {
         method: 'GET',
@@ -1961,6 +4435,17 @@ app.use((err, req, res, next) => {
 // ====================
 // Server Startup
 // ====================
+// Save salary observations recorded since the last batched write before exiting.
+// A signal is re-raised once saved so the process still ends the default way.
+const flushSalaryObservations = () => scraper.salaryEstimator.observations.flushSync();
+process.on('exit', flushSalaryObservations);
+for (const signal of ['SIGTERM', 'SIGINT']) {
+  process.once(signal, () => {
+    flushSalaryObservations();
+    process.kill(process.pid, signal);
+  });
+}
+
 app.listen(PORT, () => {
   console.log(`
     🚀 LinkedIn Jobs Scraper API v3.9.0
@@ -1975,7 +4460,7 @@ app.listen(PORT, () => {
     Clean & Professional:
     ✅ No timestamps in responses
     ✅ Consistent 10-digit numeric IDs
-    ✅ Up to 50 most relevant jobs per search
+    ✅ Up to 50 most relevant jobs per search (paginate with ?page= or ?cursor=)
     
     ENHANCED SALARY PARSING:
     ✅ Handles ALL salary formats automatically:
@@ -1993,7 +4478,12 @@ app.listen(PORT, () => {
     
     Other Endpoints:
     ✅ GET /api/search/{keywords}/{location}
+    ✅ POST /api/search (multiple locations, merged results)
     ✅ GET /api/job/{jobId}
+    ✅ GET /api/job/{jobId}/status (open, closed, expired, removed)
+    ✅ GET /api/job/{jobId}/similar (related postings)
+    ✅ POST /api/jobs/batch (many job IDs at once)
+    ✅ GET /api/salary-compare/{title}?locations=&levels= (comparison matrix)
     ✅ GET /api/company/{companyIdentifier} (now with followers!)
     
     Configuration: